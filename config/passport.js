@@ -2,10 +2,15 @@
 import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20";
 import { Strategy as FacebookStrategy } from "passport-facebook";
-import User from "../models/userCopy.js";
+import User, { IDENTITY_LABELS, identityFilter, identityKey } from "../models/user.js";
+import { EmailLinkStrategy } from "../lib/emailLink.js";
+import { WhatsAppOtpStrategy } from "../lib/whatsappOtp.js";
+import { canSendWhatsApp } from "../lib/twilioClient.js";
+import { roleOf } from "../lib/roles.js";
 import dotenv from "dotenv";
 dotenv.config();
 
+// Only bootstraps the first super admin; after that roles are managed at /admin/users
 const ADMIN_SET = new Set(
   (process.env.ADMIN_EMAILS || "")
     .split(",")
@@ -13,7 +18,80 @@ const ADMIN_SET = new Set(
     .filter(Boolean)
 );
 
-// --- Google Strategy (existing behaviour) ---
+const LINK_INTENT_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Called when a signed-in user starts connecting `provider` from /me/account;
+ * `providerId` narrows it to one login (the address a connect email went to).
+ */
+export function startIdentityLink(req, provider, providerId) {
+  const key = providerId ? identityKey(provider, providerId).providerId : undefined;
+  req.session.linkIdentity = { provider, providerId: key, expiresAt: Date.now() + LINK_INTENT_TTL_MS };
+}
+
+/** Whether a sign-in with this identity would be added to the signed-in account. */
+export function isLinkingIdentity(req, provider, providerId) {
+  const intent = req.session?.linkIdentity;
+  if (!req.user?._id || intent?.provider !== provider || !(intent.expiresAt > Date.now())) return false;
+  return !intent.providerId || intent.providerId === identityKey(provider, providerId).providerId;
+}
+
+// The intent is used up by the next sign-in of any kind, so a sign-in the user
+// didn't start from /me/account (a forged OAuth callback, someone else's email
+// link) never links; it signs in to its own account instead.
+function takeIdentityLink(req, provider, providerId) {
+  const linking = isLinkingIdentity(req, provider, providerId);
+  if (req.session) delete req.session.linkIdentity;
+  return linking;
+}
+
+/**
+ * Resolve the user for a sign-in (OAuth, email link or WhatsApp code).
+ * When the signed-in user started connecting this provider (startIdentityLink)
+ * the identity is added to their account. Otherwise it is a normal sign-in,
+ * replacing any current session: look the identity up, then fall back to a
+ * matching email, then create a user. Calls done(null, false, { message })
+ * when the identity belongs to someone else.
+ */
+export async function resolveSignIn(req, { provider, providerId, email, name, photo }, done) {
+  const owner = await User.findOne(identityFilter(provider, providerId));
+
+  if (takeIdentityLink(req, provider, providerId)) {
+    if (owner && String(owner._id) !== String(req.user._id)) {
+      return done(null, false, { message: `That ${IDENTITY_LABELS[provider]} account is already linked to another user.` });
+    }
+    const me = await User.findById(req.user._id);
+    if (!me) return done(null, false, { message: "Your session has expired; please sign in again." });
+    me.addIdentity(provider, providerId, { email });
+    me.email = me.email || email;
+    me.photo = me.photo || photo;
+    me.name = me.name || name;
+    await me.save();
+    return done(null, me);
+  }
+
+  let user = owner || (email ? await User.findOne({ email }) : null);
+  if (!owner && user?.isUnlinked(provider, providerId)) {
+    return done(null, false, {
+      message: `That ${IDENTITY_LABELS[provider]} sign-in was removed from your account. Sign in another way and connect it again under Account.`,
+    });
+  }
+  if (!user) {
+    user = new User({ provider, providerId, name, email, photo });
+  }
+  // a match by email gains this identity rather than swapping its provider
+  user.addIdentity(provider, providerId, { email });
+  user.name = user.name || name;
+  user.photo = user.photo || photo;
+  user.email = user.email || email;
+  if (email && ADMIN_SET.has(email) && roleOf(user) !== "superadmin" && !(await User.exists({ role: { $in: ["superadmin", "admin"] } }))) {
+    user.role = "superadmin";
+  }
+  if (user.isNew || user.isModified()) await user.save();
+  return done(null, user);
+}
+
+// --- Google Strategy ---
 if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_CALLBACK_URL) {
   passport.use(
     new GoogleStrategy(
@@ -21,45 +99,22 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.
         clientID: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
         callbackURL: process.env.GOOGLE_CALLBACK_URL,
+        passReqToCallback: true,
+        state: true,
       },
-      async (_accessToken, _refreshToken, profile, done) => {
+      async (req, _accessToken, _refreshToken, profile, done) => {
         try {
-          const email = profile.emails?.[0]?.value?.toLowerCase();
-          const role = ADMIN_SET.has(email) ? "admin" : "user";
-
-          let user = await User.findOne({ provider: "google", providerId: profile.id });
-          if (user) {
-            // keep role in sync if email is in ADMIN_EMAILS
-            if (user.role !== role) {
-              user.role = role;
-              await user.save();
-            }
-            return done(null, user);
-          }
-
-          // try to find by email and attach Google provider if user exists
-          if (email) {
-            const existing = await User.findOne({ email });
-            if (existing) {
-              existing.provider = "google";
-              existing.providerId = profile.id;
-              existing.name = existing.name || profile.displayName;
-              existing.photo = existing.photo || profile.photos?.[0]?.value;
-              existing.role = role;
-              await existing.save();
-              return done(null, existing);
-            }
-          }
-
-          user = await User.create({
-            provider: "google",
-            providerId: profile.id,
-            name: profile.displayName,
-            email,
-            photo: profile.photos?.[0]?.value,
-            role,
-          });
-          return done(null, user);
+          await resolveSignIn(
+            req,
+            {
+              provider: "google",
+              providerId: profile.id,
+              email: profile.emails?.[0]?.value?.toLowerCase(),
+              name: profile.displayName,
+              photo: profile.photos?.[0]?.value,
+            },
+            done
+          );
         } catch (e) {
           done(e);
         }
@@ -79,53 +134,26 @@ if (process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET && process.en
         clientSecret: process.env.FACEBOOK_APP_SECRET,
         callbackURL: process.env.FACEBOOK_CALLBACK_URL,
         profileFields: ["id", "emails", "name", "picture.type(large)"],
+        passReqToCallback: true,
+        state: true,
       },
-      async (accessToken, _refreshToken, profile, done) => {
+      async (req, _accessToken, _refreshToken, profile, done) => {
         try {
           // Facebook may not always return email; guard accordingly
-          const email = profile.emails?.[0]?.value?.toLowerCase();
-          const role = ADMIN_SET.has(email) ? "admin" : "user";
-
-          // 1) find by provider/providerId
-          let user = await User.findOne({ provider: "facebook", providerId: profile.id });
-          if (user) {
-            if (user.role !== role) {
-              user.role = role;
-              await user.save();
-            }
-            return done(null, user);
-          }
-
-          // 2) if no provider match, try to find existing user by email and attach facebook provider
-          if (email) {
-            const existing = await User.findOne({ email });
-            if (existing) {
-              existing.provider = "facebook";
-              existing.providerId = profile.id;
-              existing.name = existing.name || `${profile.name?.givenName || ""} ${profile.name?.familyName || ""}`.trim();
-              existing.photo = existing.photo || profile.photos?.[0]?.value;
-              existing.role = role;
-              await existing.save();
-              return done(null, existing);
-            }
-          }
-
-          // 3) else create new user record
-          const displayName =
-            profile.displayName ||
-            `${profile.name?.givenName || ""} ${profile.name?.familyName || ""}`.trim() ||
-            null;
-
-          user = await User.create({
-            provider: "facebook",
-            providerId: profile.id,
-            name: displayName,
-            email: email || undefined,
-            photo: profile.photos?.[0]?.value,
-            role,
-          });
-
-          return done(null, user);
+          await resolveSignIn(
+            req,
+            {
+              provider: "facebook",
+              providerId: profile.id,
+              email: profile.emails?.[0]?.value?.toLowerCase(),
+              name:
+                profile.displayName ||
+                `${profile.name?.givenName || ""} ${profile.name?.familyName || ""}`.trim() ||
+                undefined,
+              photo: profile.photos?.[0]?.value,
+            },
+            done
+          );
         } catch (err) {
           return done(err);
         }
@@ -136,6 +164,28 @@ if (process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET && process.en
   console.warn("Facebook credentials not configured; skipping FacebookStrategy");
 }
 
+// --- Email magic link (always available; see lib/mailer.js for mail without SMTP) ---
+passport.use(
+  new EmailLinkStrategy((req, email, done) => {
+    resolveSignIn(req, { provider: "email", providerId: email, email }, done).catch(done);
+  })
+);
+
+// --- WhatsApp one-time code (the same user the bot creates for the number) ---
+passport.use(
+  new WhatsAppOtpStrategy((req, phone, done) => {
+    resolveSignIn(req, { provider: "whatsapp", providerId: phone }, done).catch(done);
+  })
+);
+
+/** Whether sign-in with `provider` is set up on this server. */
+export function isProviderConfigured(provider) {
+  if (provider === "google") return !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_CALLBACK_URL);
+  if (provider === "facebook") return !!(process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET && process.env.FACEBOOK_CALLBACK_URL);
+  if (provider === "whatsapp") return canSendWhatsApp();
+  return provider === "email";
+}
+
 // --- Passport session handling ---
 passport.serializeUser((user, done) => {
   done(null, user.id);
@@ -0,0 +1,81 @@
+// lib/accountLink.js
+// Linking a WhatsApp number to a web account: the website issues a short-lived
+// code, the bot redeems it and folds the WhatsApp user into the web account.
+import crypto from "crypto";
+import User, { normalizePhone } from "../models/user.js";
+import LinkCode from "../models/linkCode.js";
+import { mergeUserInto } from "./userMerge.js";
+import { hitRateLimit, isRateLimited } from "../middleware/rateLimit.js";
+
+export const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+export const LINK_CODE_DIGITS = 8;
+
+// Wrong codes per sending number over a day, on top of the webhook's
+// per-number attempt limit: with 10^8 codes a number can't realistically hit one.
+const FAILED_LINKS = { name: "link-code-failures", windowMs: 24 * 60 * 60 * 1000, max: 10 };
+
+const secret = () => process.env.LINK_CODE_SECRET || process.env.SESSION_SECRET || "change-me";
+const hashCode = (code) => crypto.createHmac("sha256", secret()).update(`link:${code}`).digest("hex");
+
+/** A fresh 8-digit code for `userId`; any earlier code for the account stops working. */
+export async function createLinkCode(userId) {
+  await LinkCode.deleteMany({ user: userId });
+  const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MS);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = String(crypto.randomInt(0, 10 ** LINK_CODE_DIGITS)).padStart(LINK_CODE_DIGITS, "0");
+    try {
+      await LinkCode.create({ codeHash: hashCode(code), user: userId, expiresAt });
+      return { code, expiresAt };
+    } catch (err) {
+      // another live code happens to be the same number; draw again
+      if (err?.code !== 11000) throw err;
+    }
+  }
+  throw new Error("could not allocate a link code");
+}
+
+/**
+ * Redeem `code` sent from WhatsApp by `waUser` (the user the bot resolved for
+ * the sender). Resolves to { user } — the web account now holding the number —
+ * or { error } with a message for the chat.
+ */
+export async function redeemLinkCode(code, waUser) {
+  const digits = String(code || "").replace(/\s+/g, "");
+  if (digits.length !== LINK_CODE_DIGITS || !/^\d+$/.test(digits)) {
+    return { error: `Send the ${LINK_CODE_DIGITS}-digit code from the website, e.g. 'link 12345678'.` };
+  }
+  const { name, ...limit } = FAILED_LINKS;
+  const sender = normalizePhone(waUser.phone || waUser.providerId);
+  if (await isRateLimited(name, sender, limit)) {
+    return { error: "Too many wrong codes from this number. Please try again tomorrow." };
+  }
+
+  // single use: the code is gone whether or not the rest succeeds
+  const link = await LinkCode.findOneAndDelete({ codeHash: hashCode(digits), expiresAt: { $gt: new Date() } }).lean();
+  if (!link) {
+    await hitRateLimit(name, sender, limit);
+    return { error: "That code is wrong or has expired. Get a new one from the website and try again." };
+  }
+
+  const target = await User.findById(link.user).lean();
+  if (!target) return { error: "The account for that code no longer exists." };
+  if (String(target._id) === String(waUser._id)) return { user: target, alreadyLinked: true };
+
+  // the bot matched this number to a different web account
+  if (waUser.provider !== "whatsapp") {
+    return { error: "This number is already linked to another account. Unlink it under Account on the website first." };
+  }
+
+  // switching numbers: the previous one stops reaching this account
+  let current = target;
+  if (target.phone) {
+    current = await User.findByIdAndUpdate(
+      target._id,
+      { $pull: { identities: { provider: "whatsapp" } }, $unset: { phone: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  const user = await mergeUserInto(current, waUser, { phone: sender });
+  return { user };
+}
@@ -0,0 +1,61 @@
+// lib/compare.js
+// Side-by-side comparison for /compare and /api/compare: the same attributes
+// lined up per school, with rows flagged where the schools differ.
+import School, { PUBLISHED_FILTER } from "../models/school.js";
+import { FACILITY_GROUPS } from "./facilities.js";
+
+export const COMPARE_MIN = 2;
+export const COMPARE_MAX = 3;
+
+const COMPARE_FIELDS = "name slug city type type2 gender curriculum_list learningEnvironment facilities";
+
+// Attributes shown above the facilities, in display order
+const OVERVIEW_ROWS = [
+  { key: "city", label: "City" },
+  { key: "curriculum_list", label: "Curriculum" },
+  { key: "type", label: "School type" },
+  { key: "type2", label: "Day / boarding" },
+  { key: "gender", label: "Gender" },
+  { key: "learningEnvironment", label: "Learning environment" },
+];
+
+/** "a, b,,a ,c" → ["a","b","c"], capped at COMPARE_MAX. */
+export function parseCompareSlugs(value) {
+  const list = [].concat(value || []).flatMap((v) => String(v).split(","));
+  return [...new Set(list.map((s) => s.trim().toLowerCase()).filter(Boolean))].slice(0, COMPARE_MAX);
+}
+
+const cellText = (v) => (Array.isArray(v) ? v.join(", ") : v == null ? "" : String(v));
+// order- and case-insensitive so ["Day","Boarding"] matches ["boarding","day"]
+const sameKey = (v) => (Array.isArray(v) ? v.map((x) => String(x).toLowerCase()).sort().join("|") : cellText(v).toLowerCase());
+const differs = (values) => new Set(values.map(sameKey)).size > 1;
+
+/**
+ * Load published schools by slug and build the comparison table.
+ * Resolves to { schools, missing, overview, facilityGroups }; schools keep the requested order.
+ */
+export async function buildComparison(slugs) {
+  const docs = slugs.length ? await School.find({ slug: { $in: slugs }, ...PUBLISHED_FILTER }).select(COMPARE_FIELDS).lean() : [];
+  const bySlug = new Map(docs.map((d) => [d.slug, d]));
+  const schools = slugs.filter((s) => bySlug.has(s)).map((s) => bySlug.get(s));
+
+  const overview = OVERVIEW_ROWS.map(({ key, label }) => {
+    const values = schools.map((s) => s[key]);
+    return { key, label, values: values.map((v) => cellText(v) || "—"), differs: differs(values) };
+  });
+
+  const facilityGroups = FACILITY_GROUPS.map((g) => ({
+    name: g.name,
+    rows: g.items.map(({ key, label }) => {
+      const values = schools.map((s) => s.facilities?.[key] === true);
+      return { key, label, values, differs: differs(values) };
+    }),
+  }));
+
+  return {
+    schools: schools.map((s) => ({ id: String(s._id), name: s.name, slug: s.slug, url: `/schools/${encodeURIComponent(s.slug)}` })),
+    missing: slugs.filter((s) => !bySlug.has(s)),
+    overview,
+    facilityGroups,
+  };
+}
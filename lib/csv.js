@@ -0,0 +1,11 @@
+// lib/csv.js
+// Helpers for CSV exports that staff open in Excel or Google Sheets.
+
+// cells starting with one of these are run as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/** `value` as text, with a leading ' when a spreadsheet would treat it as a formula. */
+export function spreadsheetCell(value) {
+  const text = String(value ?? "");
+  return FORMULA_START.test(text) ? `'${text}` : text;
+}
@@ -0,0 +1,28 @@
+// lib/documents.js
+// Public links to school document libraries (see models/schoolDocument.js).
+import SchoolDocument from "../models/schoolDocument.js";
+
+export const documentUrl = (schoolSlug, key) =>
+  `/download/${encodeURIComponent(schoolSlug)}/${encodeURIComponent(key)}`;
+
+/**
+ * Map of school id → [{ label, url, kind }] for the given schools
+ * (objects with `_id` and `slug`). Schools without a slug get no links.
+ */
+export async function documentLinksBySchool(schools = []) {
+  const bySchool = new Map();
+  const slugs = new Map(schools.filter((s) => s && s.slug).map((s) => [String(s._id), s.slug]));
+  if (!slugs.size) return bySchool;
+
+  const docs = await SchoolDocument.find({ school: { $in: [...slugs.keys()] } })
+    .select("school key label kind")
+    .sort({ sortOrder: 1, label: 1 })
+    .lean();
+
+  for (const d of docs) {
+    const id = String(d.school);
+    if (!bySchool.has(id)) bySchool.set(id, []);
+    bySchool.get(id).push({ label: d.label, url: documentUrl(slugs.get(id), d.key), kind: d.kind });
+  }
+  return bySchool;
+}
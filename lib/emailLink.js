@@ -0,0 +1,94 @@
+// lib/emailLink.js
+// Passwordless sign-in: a signed, single-use, expiring link emailed to the
+// address, and the passport strategy that accepts it.
+import crypto from "crypto";
+import passport from "passport";
+import LoginToken from "../models/loginToken.js";
+import { normalizeEmail } from "../models/user.js";
+import { makeTransporter, mailFrom } from "./mailer.js";
+
+export const EMAIL_LINK_TTL_MS = 20 * 60 * 1000;
+
+const secret = () => process.env.LOGIN_LINK_SECRET || process.env.SESSION_SECRET || "change-me";
+const sign = (payload) => crypto.createHmac("sha256", secret()).update(`email-link|${payload}`).digest("base64url");
+const hashNonce = (nonce) => crypto.createHash("sha256").update(nonce).digest("hex");
+const SITE_URL = () => (process.env.SITE_URL || "https://skoolfinder.net").replace(/\/$/, "");
+
+/** "<email>.<expiresAt>.<nonce>.<sig>" (email base64url-encoded); recorded so it works once. */
+export async function issueEmailLoginToken(email) {
+  const address = normalizeEmail(email);
+  const expiresAt = new Date(Date.now() + EMAIL_LINK_TTL_MS);
+  const nonce = crypto.randomBytes(16).toString("base64url");
+  const payload = `${Buffer.from(address).toString("base64url")}.${expiresAt.getTime()}.${nonce}`;
+  await LoginToken.create({ nonceHash: hashNonce(nonce), email: address, expiresAt });
+  return `${payload}.${sign(payload)}`;
+}
+
+/** Email a fresh sign-in link to `email`. */
+export async function sendEmailLoginLink(email) {
+  const token = await issueEmailLoginToken(email);
+  const link = `${SITE_URL()}/auth/email/callback?token=${encodeURIComponent(token)}`;
+  await makeTransporter().sendMail({
+    from: mailFrom(),
+    to: normalizeEmail(email),
+    subject: "Your ZimEduFinder sign-in link",
+    text: [
+      "Use this link to sign in to ZimEduFinder:",
+      link,
+      "",
+      `It works once and expires in ${Math.round(EMAIL_LINK_TTL_MS / 60000)} minutes.`,
+      "If you didn't ask to sign in, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+/** Check a token without using it up; resolves to { email, nonce } or null. */
+export function verifyEmailLoginToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 4) return null;
+  const [emailPart, expires, nonce, sig] = parts;
+  const expected = Buffer.from(sign(`${emailPart}.${expires}.${nonce}`));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  if (!(Number(expires) > Date.now())) return null;
+  return { email: Buffer.from(emailPart, "base64url").toString("utf8"), nonce };
+}
+
+/** Use a token up; resolves to the email it was issued for, or null. */
+export async function redeemEmailLoginToken(token) {
+  const checked = verifyEmailLoginToken(token);
+  if (!checked) return null;
+  const used = await LoginToken.findOneAndDelete({
+    nonceHash: hashNonce(checked.nonce),
+    email: checked.email,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  return used ? checked.email : null;
+}
+
+/**
+ * passport strategy "email-link": reads `token` from the body (the confirm
+ * form) or query. `verify(req, email, done)` resolves the user for the address.
+ */
+export class EmailLinkStrategy extends passport.Strategy {
+  constructor(verify) {
+    super();
+    this.name = "email-link";
+    this._verify = verify;
+  }
+
+  authenticate(req) {
+    redeemEmailLoginToken(req.body?.token || req.query?.token)
+      .then((email) => {
+        if (!email) {
+          return this.fail({ message: "That sign-in link is invalid, has expired or was already used. Request a new one below." });
+        }
+        this._verify(req, email, (err, user, info) => {
+          if (err) return this.error(err);
+          if (!user) return this.fail(info);
+          this.success(user, info);
+        });
+      })
+      .catch((err) => this.error(err));
+  }
+}
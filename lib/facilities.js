@@ -0,0 +1,80 @@
+// lib/facilities.js
+// Display metadata for School.facilities — groups and keys mirror models/school.js FacilitiesSchema.
+
+export const FACILITY_GROUPS = [
+  {
+    name: "Academics",
+    items: [
+      { key: "scienceLabs", label: "Science Labs" },
+      { key: "computerLab", label: "Computer Lab" },
+      { key: "library", label: "Library" },
+      { key: "makerSpaceSteamLab", label: "STEAM / Robotics" },
+      { key: "examCentreCambridge", label: "Cambridge Centre" },
+      { key: "examCentreZimsec", label: "ZIMSEC Centre" },
+    ],
+  },
+  {
+    name: "Arts & Culture",
+    items: [
+      { key: "artStudio", label: "Art Studio" },
+      { key: "musicRoom", label: "Music Room" },
+      { key: "dramaTheatre", label: "Drama / Theatre" },
+    ],
+  },
+  {
+    name: "Sports",
+    items: [
+      { key: "swimmingPool", label: "Swimming Pool" },
+      { key: "athleticsTrack", label: "Athletics Track" },
+      { key: "rugbyField", label: "Rugby" },
+      { key: "hockeyField", label: "Hockey" },
+      { key: "tennisCourts", label: "Tennis" },
+      { key: "basketballCourt", label: "Basketball" },
+      { key: "netballCourt", label: "Netball" },
+      { key: "footballPitch", label: "Football" },
+      { key: "cricketField", label: "Cricket" },
+    ],
+  },
+  {
+    name: "Student Support & Welfare",
+    items: [
+      { key: "counseling", label: "Counselling" },
+      { key: "learningSupportSEN", label: "Learning Support (SEN)" },
+      { key: "schoolClinicNurse", label: "School Clinic / Nurse" },
+      { key: "cafeteria", label: "Cafeteria" },
+      { key: "aftercare", label: "Aftercare" },
+    ],
+  },
+  {
+    name: "Boarding & Logistics",
+    items: [
+      { key: "boarding", label: "Boarding" },
+      { key: "transportBuses", label: "School Transport" },
+    ],
+  },
+  {
+    name: "Campus & Safety",
+    items: [
+      { key: "wifiCampus", label: "Wi-Fi Campus" },
+      { key: "cctvSecurity", label: "CCTV / Security" },
+      { key: "powerBackup", label: "Power Backup" },
+    ],
+  },
+];
+
+export const FACILITY_KEYS = FACILITY_GROUPS.flatMap((g) => g.items.map((i) => i.key));
+
+export const FACILITY_LABELS = Object.fromEntries(
+  FACILITY_GROUPS.flatMap((g) => g.items.map((i) => [i.key, i.label]))
+);
+
+/**
+ * Group a school's facilities for display. Only facilities the school has are
+ * included, and groups with nothing to show are dropped.
+ */
+export function groupFacilities(facilities = {}) {
+  return FACILITY_GROUPS.map((g) => ({
+    name: g.name,
+    items: g.items.filter((i) => facilities?.[i.key] === true),
+  })).filter((g) => g.items.length);
+}
@@ -0,0 +1,70 @@
+// lib/favourites.js
+// Saved schools, shared by the web app (/api/favourites, /me/favourites) and
+// the WhatsApp bot ("fav add/list/remove"). Both channels store the list on
+// the user's `favourites` array, so a linked account sees one list.
+import mongoose from "mongoose";
+import School, { PUBLISHED_FILTER } from "../models/school.js";
+
+export const MAX_FAVOURITES = 50;
+
+const FAVOURITE_FIELDS = "name slug city type type2 curriculum_list learningEnvironment";
+
+/** Published school by slug or ObjectId string, or null. */
+export async function findFavouriteSchool(idOrSlug) {
+  const key = String(idOrSlug || "").trim();
+  if (!key) return null;
+  const cond = mongoose.isValidObjectId(key) ? { _id: key } : { slug: key.toLowerCase() };
+  return School.findOne({ ...cond, ...PUBLISHED_FILTER }).select(FAVOURITE_FIELDS).lean();
+}
+
+export const favouriteSummary = (s) => ({
+  id: String(s._id),
+  name: s.name,
+  slug: s.slug,
+  city: s.city,
+  curriculum: s.curriculum_list || [],
+  type: s.type || [],
+  type2: s.type2 || [],
+  learningEnvironment: s.learningEnvironment,
+  url: s.slug ? `/schools/${encodeURIComponent(s.slug)}` : null,
+});
+
+/** The user's favourites in saved order; unpublished or deleted schools are skipped. */
+export async function listFavourites(User, userId) {
+  const user = await User.findById(userId).select("favourites").lean();
+  const ids = (user?.favourites || []).map(String);
+  if (!ids.length) return [];
+  const schools = await School.find({ _id: { $in: ids }, ...PUBLISHED_FILTER }).select(FAVOURITE_FIELDS).lean();
+  const byId = new Map(schools.map((s) => [String(s._id), s]));
+  return ids.filter((id) => byId.has(id)).map((id) => favouriteSummary(byId.get(id)));
+}
+
+/**
+ * Add a school; resolves to { school } or { error } with a message for the user.
+ * `User` is the model the caller's account lives in.
+ */
+export async function addFavourite(User, userId, idOrSlug) {
+  const school = await findFavouriteSchool(idOrSlug);
+  if (!school) return { error: "School not found" };
+  // the size check lives in the filter so two quick taps can't both pass it
+  const res = await User.updateOne(
+    { _id: userId, [`favourites.${MAX_FAVOURITES - 1}`]: { $exists: false } },
+    { $addToSet: { favourites: school._id } }
+  );
+  if (!res.matchedCount) {
+    const already = await User.exists({ _id: userId, favourites: school._id });
+    if (!already) return { error: `You can save up to ${MAX_FAVOURITES} schools. Remove one first.` };
+  }
+  return { school: favouriteSummary(school) };
+}
+
+/** Remove a school; resolves to the removed school's summary or null when it wasn't saved. */
+export async function removeFavourite(User, userId, idOrSlug) {
+  const key = String(idOrSlug || "").trim();
+  // removal works even for schools that have since been unpublished
+  const cond = mongoose.isValidObjectId(key) ? { _id: key } : { slug: key.toLowerCase() };
+  const school = key ? await School.findOne(cond).select(FAVOURITE_FIELDS).lean() : null;
+  if (!school) return null;
+  const res = await User.updateOne({ _id: userId }, { $pull: { favourites: school._id } });
+  return res.modifiedCount ? favouriteSummary(school) : null;
+}
@@ -0,0 +1,51 @@
+// lib/formGuard.js
+// Cheap bot filters for public forms: an HMAC-signed token issued when the form
+// is rendered, and a honeypot field people never see.
+import crypto from "crypto";
+
+const configuredSecret = () => process.env.FORM_TOKEN_SECRET || process.env.SESSION_SECRET || "";
+const secret = () => configuredSecret() || "change-me";
+const MAX_TOKEN_AGE_MS = 24 * 60 * 60 * 1000;
+
+/** Hidden input that must stay empty; bots filling every field trip it. */
+export const HONEYPOT_FIELD = "contact_url";
+
+const sign = (payload) => crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+
+/** "<issuedAt>.<nonce>.<sig>" bound to `purpose`, e.g. "register:st-eurit". */
+export function issueFormToken(purpose) {
+  const payload = `${Date.now()}.${crypto.randomBytes(8).toString("hex")}`;
+  return `${payload}.${sign(`${purpose}|${payload}`)}`;
+}
+
+/**
+ * null when the token is good, else a short reason for the logs.
+ * `minAgeMs` rejects forms submitted faster than a person could fill them.
+ */
+export function verifyFormToken(token, purpose, { minAgeMs = 0, maxAgeMs = MAX_TOKEN_AGE_MS } = {}) {
+  const [issuedAt, nonce, sig] = String(token || "").split(".");
+  if (!issuedAt || !nonce || !sig) return "missing token";
+  const expected = Buffer.from(sign(`${purpose}|${issuedAt}.${nonce}`));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return "bad signature";
+  const age = Date.now() - Number(issuedAt);
+  if (!(age >= 0) || age > maxAgeMs) return "expired token";
+  if (age < minAgeMs) return "submitted too fast";
+  return null;
+}
+
+/** Honeypot + token check for a form post; null when it looks human. */
+export function checkFormGuard(req, purpose, opts) {
+  if (String(req.body?.[HONEYPOT_FIELD] || "").trim()) return "honeypot filled";
+  return verifyFormToken(req.body?.formToken, purpose, opts);
+}
+
+// Server-to-server calls (the WhatsApp bot calling /api/recommend) identify
+// themselves with a token signed by the same secret so limits can skip them.
+// Without a real secret anyone could sign one, so nothing counts as internal.
+const INTERNAL_HEADER = "x-internal-token";
+const INTERNAL_PURPOSE = "internal-api";
+
+export const internalRequestHeaders = () => ({ [INTERNAL_HEADER]: issueFormToken(INTERNAL_PURPOSE) });
+export const isInternalRequest = (req) =>
+  !!configuredSecret() && !verifyFormToken(req.get(INTERNAL_HEADER), INTERNAL_PURPOSE, { maxAgeMs: 5 * 60 * 1000 });
@@ -0,0 +1,75 @@
+// lib/lastPrefs.js
+// A signed-in user's last search, saved from /api/recommend and the WhatsApp
+// `find` command and used to prefill /recommend.
+import { FACILITY_KEYS, FACILITY_LABELS } from "./facilities.js";
+
+const PRIORITY_KEY_RX = /^[A-Za-z0-9_.]+$/;
+
+// WhatsApp stores a phase word; the web form selects School.type values
+const PHASE_TO_TYPE = { preschool: "Pre-School", primary: "Primary School", secondary: "High School" };
+
+const str = (v, max = 60) => (typeof v === "string" ? v.trim().slice(0, max) : "");
+const list = (v, max = 10) => [].concat(v || []).map((x) => str(String(x))).filter(Boolean).slice(0, max);
+
+/**
+ * The filters from a /api/recommend body, trimmed to what is worth keeping.
+ * "Nice to have" priorities are kept as a key list (`nice`) because their keys
+ * contain dots ("facilities.library"), which can't be stored as field names.
+ */
+export function prefsFromSearch(body = {}) {
+  const nice = Object.entries(body.priorities || {})
+    .filter(([key, value]) => PRIORITY_KEY_RX.test(key) && value === "nice")
+    .map(([key]) => key)
+    .slice(0, FACILITY_KEYS.length + 5);
+  return {
+    city: str(body.city) || "Harare",
+    learningEnvironment: str(body.learningEnvironment) || undefined,
+    curriculum: list(body.curriculum),
+    type: list(body.type),
+    type2: list(body.type2),
+    facilities: list(body.facilities, FACILITY_KEYS.length).filter((k) => FACILITY_KEYS.includes(k)),
+    nice,
+    savedAt: new Date(),
+  };
+}
+
+/**
+ * Saved prefs (from either channel) in the shape the recommend form uses,
+ * or null when nothing useful was saved.
+ */
+export function prefsForForm(saved) {
+  if (!saved || typeof saved !== "object" || Array.isArray(saved)) return null;
+  const type = list(saved.type);
+  const phaseType = PHASE_TO_TYPE[String(saved.schoolPhase || "").toLowerCase()];
+  if (!type.length && phaseType) type.push(phaseType);
+
+  const niceToHave = new Set();
+  for (const key of list(saved.nice, 50)) niceToHave.add(key.startsWith("facilities.") ? "facilities" : key);
+
+  const prefs = {
+    city: str(saved.city) || "Harare",
+    learningEnvironment: str(saved.learningEnvironment),
+    curriculum: list(saved.curriculum),
+    type,
+    type2: list(saved.type2),
+    facilities: list(saved.facilities, FACILITY_KEYS.length).filter((k) => FACILITY_KEYS.includes(k)),
+    niceToHave: [...niceToHave],
+  };
+  const hasFilters = prefs.learningEnvironment || ["curriculum", "type", "type2", "facilities"].some((k) => prefs[k].length);
+  return hasFilters ? prefs : null;
+}
+
+/** "Cambridge · Boarding · Swimming Pool, Library" for the re-run button. */
+export function prefsSummary(prefs) {
+  if (!prefs) return "";
+  return [
+    prefs.city,
+    prefs.learningEnvironment,
+    prefs.curriculum.join(", "),
+    prefs.type.join(", "),
+    prefs.type2.join(", "),
+    prefs.facilities.map((k) => FACILITY_LABELS[k] || k).join(", "),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
@@ -0,0 +1,41 @@
+// lib/mailer.js
+// Outgoing mail for registrations and sign-in links.
+import nodemailer from "nodemailer";
+
+/**
+ * SMTP transport from env. Without SMTP settings mail is logged instead in
+ * local dev; in production sending fails, since logged mail would put working
+ * sign-in links in the logs.
+ */
+export function makeTransporter() {
+  if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587", 10),
+      secure: process.env.SMTP_SECURE === "1" || process.env.SMTP_SECURE === "true",
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
+  } else if (process.env.NODE_ENV === "production") {
+    return {
+      sendMail: async () => {
+        throw new Error("SMTP is not configured (set SMTP_HOST, SMTP_USER and SMTP_PASS)");
+      },
+    };
+  } else {
+    // fallback: transport that logs to console (useful for dev)
+    return {
+      sendMail: async (opts) => {
+        console.log("=== email fallback (SMTP not configured) ===");
+        console.log("to:", opts.to);
+        console.log("subject:", opts.subject);
+        console.log("text:", opts.text);
+        return true;
+      },
+    };
+  }
+}
+
+export const mailFrom = () => process.env.EMAIL_FROM || process.env.SMTP_USER || "no-reply@example.com";
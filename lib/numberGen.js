@@ -1,7 +1,7 @@
 import Counter from "../models/counter.js";
 
 export async function nextNumber(type) {
-  // type: "invoice", "quote", "receipt"
+  // type: "invoice", "quote", "receipt", "registration"
   const now = new Date();
   const y = now.getFullYear();
   const doc = await Counter.findOneAndUpdate(
@@ -0,0 +1,60 @@
+// lib/placements.js
+// Admin-managed pinned/sponsored schools for /api/recommend (see models/placement.js).
+import Placement from "../models/placement.js";
+import { PUBLISHED_FILTER } from "../models/school.js";
+import { toArray, makeContainsRegexes, CURR_SYNONYMS, PHASE_SYNONYMS } from "./recommend.js";
+
+// Empty targeting (or nothing requested) matches anything
+function targets(list, wanted, dict) {
+  if (!list?.length || !wanted.length) return true;
+  const regs = makeContainsRegexes(wanted, dict);
+  return list.some((t) => regs.some((r) => r.test(t)));
+}
+
+export function placementMatches(p, { city, type, curriculum } = {}) {
+  const wantCity = String(city || "").trim().toLowerCase();
+  if (p.cities?.length && wantCity && !p.cities.some((c) => String(c).trim().toLowerCase() === wantCity)) {
+    return false;
+  }
+  return targets(p.phases, toArray(type), PHASE_SYNONYMS) && targets(p.curricula, toArray(curriculum), CURR_SYNONYMS);
+}
+
+/**
+ * Placements running at `now` that target this search, with their (published)
+ * school populated. Oldest first, one per school.
+ */
+export async function findPlacements(search = {}, now = new Date()) {
+  const placements = await Placement.find({
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .populate({ path: "school", match: PUBLISHED_FILTER })
+    .lean();
+
+  const seen = new Set();
+  return placements.filter((p) => {
+    if (!p.school || !placementMatches(p, search)) return false;
+    const id = String(p.school._id);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+// Shape exposed to the web client and the WhatsApp bot
+export function placementSummary(p) {
+  const s = p.school;
+  return {
+    id: s._id,
+    name: s.name,
+    slug: s.slug,
+    city: s.city,
+    label: p.label,
+    registerUrl: s.slug ? `/register/${encodeURIComponent(s.slug)}` : undefined,
+    documents: (p.documents || []).map(({ label, url }) => ({ label, url })),
+  };
+}
@@ -0,0 +1,251 @@
+// lib/recommend.js
+// School matching shared by /api/recommend and /api/schools: synonym-aware
+// criteria, the Mongo filter built from them, and weighted scoring.
+import { PUBLISHED_FILTER } from "../models/school.js";
+import { FACILITY_KEYS, FACILITY_LABELS } from "./facilities.js";
+
+/* ---------------- helpers ---------------- */
+export const esc = (s = "") => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// case-insensitive "contains" and tolerant to extra whitespace
+export const rxContains = (s) =>
+  new RegExp(esc(String(s).trim()).replace(/\s+/g, "\\s+"), "i");
+
+// normalize any value to array
+export const toArray = (v) =>
+  Array.isArray(v)
+    ? v
+    : typeof v === "string" && v
+    ? v.split(",").map((s) => s.trim()).filter(Boolean)
+    : [];
+
+// synonyms (for messy data)
+export const CURR_SYNONYMS = {
+  Cambridge: ["cambridge", "caie", "cie"],
+  ZIMSEC: ["zimsec"],
+  IB: ["ib", "international baccalaureate"],
+};
+
+export const PHASE_SYNONYMS = {
+  "Pre-School": ["pre-school", "preschool", "early years", "ece"],
+  "Primary School": ["primary school", "primary", "junior"],
+  "High School": ["high school", "secondary", "senior"],
+};
+
+export const TYPE2_DAY = ["day", "day & boarding", "day and boarding"];
+export const TYPE2_BOARDING = ["boarding", "day & boarding", "day and boarding"];
+
+export const makeContainsRegexes = (values, dict = null) => {
+  const regs = [];
+  for (const raw of values) {
+    const val = String(raw).trim();
+    const syns = dict ? (dict[val] || [val]) : [val];
+    const uniq = new Set([val, ...syns]);
+    for (const s of uniq) regs.push(rxContains(s));
+  }
+  return regs;
+};
+
+const anyMatch = (values, regs) => (values || []).some((x) => regs.some((r) => r.test(x)));
+
+/* ---------------- weights ---------------- */
+
+/**
+ * Points each criterion is worth. Keys are criterion keys (request field names);
+ * `facility` is the default for every facility and `facilities` overrides it
+ * per key. Override any of them with the RECO_WEIGHTS env var (JSON).
+ */
+export const DEFAULT_WEIGHTS = {
+  curriculum: 3,
+  type: 3, // school phase
+  type2: 2, // day / boarding
+  learningEnvironment: 1,
+  facility: 1,
+  facilities: {},
+};
+
+let cachedWeights = null;
+export function loadWeights() {
+  if (cachedWeights) return cachedWeights;
+  let custom = {};
+  try {
+    custom = process.env.RECO_WEIGHTS ? JSON.parse(process.env.RECO_WEIGHTS) : {};
+  } catch (e) {
+    console.warn("RECO_WEIGHTS is not valid JSON; using default weights:", e?.message || e);
+  }
+  const num = (v, fallback) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : fallback);
+  const weights = { ...DEFAULT_WEIGHTS, facilities: { ...DEFAULT_WEIGHTS.facilities } };
+  for (const k of ["curriculum", "type", "type2", "learningEnvironment", "facility"]) {
+    weights[k] = num(custom[k], weights[k]);
+  }
+  for (const [k, v] of Object.entries(custom.facilities || {})) {
+    if (FACILITY_KEYS.includes(k)) weights.facilities[k] = num(v, weights.facility);
+  }
+  cachedWeights = weights;
+  return weights;
+}
+
+/* ---------------- criteria ---------------- */
+
+/**
+ * Turn request filters into criteria. Each criterion carries the Mongo
+ * `condition` used when it is a must-have, a `test(doc)` scoring 0..1 and a
+ * `reason(doc)` shown to the user when it matches.
+ *
+ * `priorities` maps criterion keys ("curriculum", "type", "type2",
+ * "learningEnvironment", "facilities.<key>") to "must" or "nice";
+ * anything not listed is a must-have.
+ */
+export function buildCriteria(
+  { learningEnvironment, curriculum, type, type2, facilities, priorities } = {},
+  weights = loadWeights()
+) {
+  const prio = priorities && typeof priorities === "object" ? priorities : {};
+  const criteria = [];
+  const add = (c) =>
+    criteria.push({ ...c, mustHave: String(prio[c.key] || "must").toLowerCase() !== "nice" });
+
+  if (learningEnvironment) {
+    const rx = rxContains(learningEnvironment);
+    add({
+      key: "learningEnvironment",
+      label: `${learningEnvironment} learning environment`,
+      weight: weights.learningEnvironment,
+      condition: { learningEnvironment: { $regex: rx } },
+      test: (d) => (rx.test(d.learningEnvironment || "") ? 1 : 0),
+      reason: (d) => `${d.learningEnvironment} learning environment`,
+    });
+  }
+
+  const cur = toArray(curriculum);
+  if (cur.length) {
+    const regs = makeContainsRegexes(cur, CURR_SYNONYMS);
+    add({
+      key: "curriculum",
+      label: `Curriculum: ${cur.join(", ")}`,
+      weight: weights.curriculum,
+      condition: { curriculum_list: { $in: regs } },
+      test: (d) => (anyMatch(d.curriculum_list, regs) ? 1 : 0),
+      reason: (d) => (d.curriculum_list || []).join(", "),
+    });
+  }
+
+  const phases = toArray(type);
+  if (phases.length) {
+    const regs = makeContainsRegexes(phases, PHASE_SYNONYMS);
+    add({
+      key: "type",
+      label: `Phase: ${phases.join(", ")}`,
+      weight: weights.type,
+      condition: { type: { $in: regs } },
+      test: (d) => (anyMatch(d.type, regs) ? 1 : 0),
+      reason: (d) => (d.type || []).join(" & "),
+    });
+  }
+
+  const boardingType = toArray(type2);
+  const wantDay = boardingType.some((v) => /day/i.test(v));
+  const wantBoarding = boardingType.some((v) => /boarding/i.test(v));
+  // both selected → no criterion (means "any")
+  if (wantBoarding && !wantDay) {
+    const regs = makeContainsRegexes(TYPE2_BOARDING);
+    add({
+      key: "type2",
+      label: "Boarding",
+      weight: weights.type2,
+      condition: { $or: [{ type2: { $in: regs } }, { "facilities.boarding": true }] },
+      test: (d) => (anyMatch(d.type2, regs) || d.facilities?.boarding === true ? 1 : 0),
+      reason: () => "Boarding",
+    });
+  } else if (wantDay && !wantBoarding) {
+    const regs = makeContainsRegexes(TYPE2_DAY);
+    add({
+      key: "type2",
+      label: "Day",
+      weight: weights.type2,
+      condition: { $or: [{ type2: { $in: regs } }, { "facilities.boarding": { $ne: true } }] },
+      test: (d) => (anyMatch(d.type2, regs) || d.facilities?.boarding !== true ? 1 : 0),
+      reason: () => "Day",
+    });
+  }
+
+  // only known facility keys can become query paths
+  for (const f of new Set(toArray(facilities))) {
+    if (!FACILITY_KEYS.includes(f)) continue;
+    add({
+      key: `facilities.${f}`,
+      label: FACILITY_LABELS[f] || f,
+      weight: weights.facilities[f] ?? weights.facility,
+      condition: { [`facilities.${f}`]: true },
+      test: (d) => (d.facilities?.[f] === true ? 1 : 0),
+      reason: () => f,
+    });
+  }
+
+  return criteria;
+}
+
+/**
+ * AND conditions for a search: published schools in `city` that satisfy every
+ * must-have criterion. Nice-to-haves only affect the score.
+ */
+export function buildSchoolConditions({ city, ...filters } = {}, criteria = buildCriteria(filters)) {
+  const and = [PUBLISHED_FILTER];
+  if (city) and.push({ city: { $regex: rxContains(city) } });
+  for (const c of criteria) if (c.mustHave) and.push(c.condition);
+  return and;
+}
+
+export const combineAnd = (and) => (and.length === 1 ? and[0] : { $and: and });
+
+// Tie-breaker when weights are equal: facilities go first, the school phase last
+const RELAX_ORDER = ["facilities", "learningEnvironment", "type2", "curriculum", "type"];
+const relaxRank = (c) => RELAX_ORDER.indexOf(c.key.split(".")[0]);
+
+/**
+ * Must-have criteria in the order they should be dropped when a strict search
+ * finds nothing: lowest weight first. City is never relaxed.
+ */
+export function relaxationOrder(criteria) {
+  return criteria
+    .filter((c) => c.mustHave)
+    .sort((a, b) => a.weight - b.weight || relaxRank(a) - relaxRank(b));
+}
+
+/* ---------------- scoring ---------------- */
+
+/**
+ * Weighted score for one school. `match` is the share of available points
+ * earned (0–100); `breakdown` explains it per criterion and `misses` lists the
+ * requested criteria the school fails.
+ */
+export function scoreSchool(doc, criteria) {
+  let total = 0;
+  let earned = 0;
+  const breakdown = criteria.map((c) => {
+    const score = c.test(doc);
+    total += c.weight;
+    earned += c.weight * score;
+    return {
+      key: c.key,
+      label: c.label,
+      mustHave: c.mustHave,
+      weight: c.weight,
+      score,
+      points: c.weight * score,
+    };
+  });
+
+  const facilityHits = criteria.filter((c) => c.key.startsWith("facilities.") && c.test(doc));
+  const reasons = criteria
+    .filter((c) => !c.key.startsWith("facilities.") && c.test(doc))
+    .map((c) => c.reason(doc));
+  if (facilityHits.length) reasons.push(`Facilities: ${facilityHits.map((c) => c.reason(doc)).join(", ")}`);
+
+  return {
+    match: total ? Math.round((earned / total) * 100) : 100,
+    breakdown,
+    reason: reasons.join(" · "),
+    misses: breakdown.filter((b) => !b.score).map((b) => b.label),
+  };
+}
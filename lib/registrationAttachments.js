@@ -0,0 +1,111 @@
+// lib/registrationAttachments.js
+// Supporting documents parents upload with a registration (birth certificate,
+// reports, photo). Files go through lib/storage.js; only admins can read them.
+import mongoose from "mongoose";
+import multer from "multer";
+import storage from "./storage.js";
+import Registration from "../models/registration.js";
+import RegistrationDraft from "../models/registrationDraft.js";
+import { esc } from "./recommend.js";
+
+export const ATTACHMENT_TYPES = {
+  "application/pdf": ".pdf",
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+};
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 8; // per registration, across all fields
+
+// form field → Registration attachment kind
+export const ATTACHMENT_FIELDS = [
+  { name: "birthCertificate", kind: "birth certificate", label: "Birth certificate", maxCount: 1 },
+  { name: "schoolReports", kind: "school report", label: "Latest school reports", maxCount: 3 },
+  { name: "photo", kind: "passport photo", label: "Passport-size photo", maxCount: 1 },
+  { name: "otherDocuments", kind: "other", label: "Other supporting documents", maxCount: 3 },
+];
+
+// The browser's mimetype is only a claim; check the first bytes match it
+const MAGIC = {
+  "application/pdf": [0x25, 0x50, 0x44, 0x46], // %PDF
+  "image/jpeg": [0xff, 0xd8, 0xff],
+  "image/png": [0x89, 0x50, 0x4e, 0x47],
+};
+const looksLike = (buffer, mimeType) => (MAGIC[mimeType] || []).every((b, i) => buffer[i] === b);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES[file.mimetype]) return cb(null, true);
+    cb(new Error(`"${file.originalname}" is not a PDF, JPEG or PNG file.`));
+  },
+}).fields(ATTACHMENT_FIELDS.map(({ name, maxCount }) => ({ name, maxCount })));
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file must be ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB or smaller.`,
+  LIMIT_FILE_COUNT: `Please upload at most ${MAX_ATTACHMENTS} files.`,
+  LIMIT_UNEXPECTED_FILE: "Too many files for one of the document fields.",
+};
+
+/**
+ * Multer for the registration form. Never fails the request: a rejected upload
+ * sets `req.attachmentError` so the form can be shown again with the message.
+ */
+export function attachmentUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (err) {
+      req.attachmentError = LIMIT_MESSAGES[err.code] || err.message || "Upload failed.";
+      req.files = {};
+    }
+    next();
+  });
+}
+
+/** Uploaded files from `req.files` as a flat list tagged with their kind. */
+export function uploadedFiles(req) {
+  return ATTACHMENT_FIELDS.flatMap(({ name, kind }) => (req.files?.[name] || []).map((file) => ({ file, kind })));
+}
+
+/**
+ * Write uploads under `folder` and return attachment subdocuments.
+ * Throws with a user-facing message when a file's content doesn't match its type.
+ */
+export async function storeAttachments(files, folder) {
+  const bad = files.find(({ file }) => !looksLike(file.buffer, file.mimetype));
+  if (bad) throw Object.assign(new Error(`"${bad.file.originalname}" doesn't look like a valid ${ATTACHMENT_TYPES[bad.file.mimetype].slice(1).toUpperCase()} file.`), { userFacing: true });
+
+  const saved = [];
+  for (const { file, kind } of files) {
+    const { key, size } = await storage.save(file.buffer, { folder, filename: file.originalname });
+    saved.push({ kind, filename: file.originalname, mimeType: file.mimetype, size, storageKey: key });
+  }
+  return saved;
+}
+
+export async function removeAttachments(list = []) {
+  await Promise.all(list.map((a) => storage.remove(a.storageKey).catch(() => {})));
+}
+
+export const ATTACHMENT_ROOT = "registration-attachments"; // one folder per draft: <root>/<draftId>
+// a one-shot submit writes files before its draft or registration is saved
+const SWEEP_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete attachment folders that nothing points at any more: drafts expire
+ * through a TTL index, which drops the document but not its uploads. A folder
+ * is kept while its draft exists or a registration still uses its files.
+ * Resolves to the number of folders removed.
+ */
+export async function sweepOrphanedAttachments({ minAgeMs = SWEEP_MIN_AGE_MS } = {}) {
+  const cutoff = Date.now() - minAgeMs;
+  let removed = 0;
+  for (const { key, mtime } of await storage.folders(ATTACHMENT_ROOT)) {
+    const draftId = key.slice(ATTACHMENT_ROOT.length + 1);
+    if (mtime.getTime() > cutoff || !mongoose.isValidObjectId(draftId)) continue;
+    if (await RegistrationDraft.exists({ _id: draftId })) continue;
+    if (await Registration.exists({ "attachments.storageKey": new RegExp(`^${esc(key)}/`) })) continue;
+    await storage.removeFolder(key);
+    removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,64 @@
+// lib/registrationPdf.js
+// Printable copy of a submitted Registration, laid out like the paper form.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Mustache from "mustache";
+import { htmlToPdfBuffer } from "./pdf.js";
+
+const TEMPLATE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "templates", "registration.html");
+let template = null;
+
+/** The school's own indemnity terms, or the generic consent used when it has none. */
+export function indemnityTextFor(school) {
+  if (school?.indemnityText) return school.indemnityText;
+  const name = school?.name || "the school";
+  return [
+    "1. The information given in this form is true and complete to the best of my/our knowledge.",
+    `2. I/We agree to abide by the admission terms, fee policies, rules and regulations of ${name}, as amended from time to time.`,
+    "3. I/We will keep the school informed of any changes to our contact details, medical conditions or other relevant information.",
+  ].join("\n");
+}
+
+const day = (d) => (d ? new Date(d).toISOString().split("T")[0] : "");
+
+// `school` supplies the indemnity terms; falls back to the names stored on the registration
+export function renderRegistrationHtml(doc, school = null) {
+  if (!template) template = fs.readFileSync(TEMPLATE_PATH, "utf-8");
+  const reg = doc.toObject ? doc.toObject() : doc;
+  const parent = (who) => ({
+    name: reg[`${who}Name`],
+    qualifications: reg[`${who}Qualifications`],
+    occupation: reg[`${who}Occupation`],
+    mobile: reg[`${who}Mobile`],
+    email: reg[`${who}Email`],
+  });
+  return Mustache.render(template, {
+    schoolName: reg.schoolName || school?.name || reg.schoolSlug,
+    reference: reg.reference || String(reg._id),
+    submitted: day(reg.submittedAt || reg.createdAt),
+    studentName: [reg.studentFirstName, reg.studentMiddleName, reg.studentLastName].filter(Boolean).join(" "),
+    reg: { ...reg, dateOfBirth: day(reg.dateOfBirth) },
+    previousSchools: reg.previousSchools || [],
+    hasPreviousSchools: !!reg.previousSchools?.length,
+    siblings: reg.siblings || [],
+    hasSiblings: !!reg.siblings?.length,
+    customFields: reg.customFields || [],
+    hasCustomFields: !!reg.customFields?.length,
+    attachments: reg.attachments || [],
+    hasAttachments: !!reg.attachments?.length,
+    father: parent("father"),
+    mother: parent("mother"),
+    indemnityText: indemnityTextFor(school || { name: reg.schoolName }),
+    indemnityAccepted: !!reg.indemnityAccepted,
+  });
+}
+
+export async function registrationPdfBuffer(reg, school = null) {
+  return htmlToPdfBuffer(renderRegistrationHtml(reg, school));
+}
+
+export const registrationPdfFilename = (reg) =>
+  `${reg.reference || reg._id}-${[reg.studentFirstName, reg.studentLastName].filter(Boolean).join("-")}`
+    .replace(/[^A-Za-z0-9-]+/g, "-")
+    .replace(/-+$/, "") + ".pdf";
@@ -0,0 +1,158 @@
+// lib/registrationSteps.js
+// The /register wizard: which fields each step owns and how they are validated.
+// Validators are express-validator chains run against a plain { body } object so
+// the same rules check a single step, a saved draft, or a one-shot POST.
+import { body, validationResult } from "express-validator";
+
+const PHONE_RX = /^\+?[0-9][0-9\s\-()]{6,19}$/;
+const YEAR_RX = /^(19|20)\d{2}$/;
+const MAX_STUDENT_AGE_YEARS = 25;
+
+const optionalText = (field, label, max = 200) =>
+  body(field).optional({ values: "falsy" }).trim().isLength({ max }).withMessage(`${label} is too long (max ${max} characters)`);
+
+const requiredText = (field, message, max = 120) =>
+  body(field).trim().notEmpty().withMessage(message).bail().isLength({ max }).withMessage(`${message.replace(/ is required$/, "")} is too long`);
+
+const phone = (field, label) =>
+  body(field).optional({ values: "falsy" }).trim().matches(PHONE_RX).withMessage(`${label} must be a valid phone number, e.g. +263 77 123 4567`);
+
+const email = (field, label) =>
+  body(field).optional({ values: "falsy" }).trim().isEmail().withMessage(`${label} must be a valid email address`);
+
+const filled = (v) => String(v ?? "").trim() !== "";
+
+export const REGISTRATION_STEPS = [
+  {
+    key: "student",
+    title: "Student",
+    fields: ["studentFirstName", "studentMiddleName", "studentLastName", "dateOfBirth", "gender", "currentGrade", "languagesSpoken", "allergies"],
+    validators: [
+      requiredText("studentFirstName", "Student first name is required", 100),
+      optionalText("studentMiddleName", "Student middle name", 100),
+      requiredText("studentLastName", "Student last name is required", 100),
+      body("dateOfBirth")
+        .trim()
+        .notEmpty()
+        .withMessage("Date of birth is required")
+        .bail()
+        .isISO8601({ strict: true })
+        .withMessage("Date of birth must be a valid date")
+        .bail()
+        .custom((v) => {
+          const dob = new Date(v);
+          const oldest = new Date();
+          oldest.setFullYear(oldest.getFullYear() - MAX_STUDENT_AGE_YEARS);
+          return dob < new Date() && dob > oldest;
+        })
+        .withMessage("Date of birth must be in the past"),
+      body("gender").isIn(["Boy", "Girl", "Other"]).withMessage("Please select the student's gender"),
+      optionalText("currentGrade", "Current grade", 60),
+      optionalText("languagesSpoken", "Languages spoken", 200),
+      optionalText("allergies", "Allergies / medical info", 500),
+    ],
+  },
+  {
+    key: "education",
+    title: "Education history",
+    fields: ["recommendedStage", "previousSchools", "siblings"],
+    validators: [
+      optionalText("recommendedStage", "Recommended stage", 60),
+      optionalText("previousSchools.*.name", "Previous school name", 150),
+      optionalText("previousSchools.*.syllabus", "Previous school syllabus", 60),
+      optionalText("previousSchools.*.stageGrade", "Previous school stage/grade", 60),
+      optionalText("previousSchools.*.term", "Previous school term", 30),
+      body("previousSchools.*.year").optional({ values: "falsy" }).trim().matches(YEAR_RX).withMessage("Previous school year must be a 4-digit year"),
+      optionalText("siblings.*.fullName", "Sibling name", 120),
+      body("siblings.*.age").optional({ values: "falsy" }).trim().isInt({ min: 0, max: 60 }).withMessage("Sibling age must be a whole number"),
+    ],
+  },
+  {
+    key: "family",
+    title: "Family",
+    fields: [
+      "fatherName", "fatherQualifications", "fatherOccupation", "fatherMobile", "fatherEmail",
+      "motherName", "motherQualifications", "motherOccupation", "motherMobile", "motherEmail",
+      "homeAddress", "workAddress",
+    ],
+    validators: [
+      body("fatherName")
+        .custom((v, { req }) => filled(v) || filled(req.body.motherName))
+        .withMessage("Enter at least one parent or guardian name"),
+      body("fatherMobile")
+        .custom((v, { req }) => filled(v) || filled(req.body.motherMobile))
+        .withMessage("At least one parent mobile number is required"),
+      optionalText("fatherName", "Father's name", 120),
+      optionalText("motherName", "Mother's name", 120),
+      optionalText("fatherQualifications", "Father's qualifications", 200),
+      optionalText("motherQualifications", "Mother's qualifications", 200),
+      optionalText("fatherOccupation", "Father's occupation", 120),
+      optionalText("motherOccupation", "Mother's occupation", 120),
+      phone("fatherMobile", "Father's mobile"),
+      phone("motherMobile", "Mother's mobile"),
+      email("fatherEmail", "Father's email"),
+      email("motherEmail", "Mother's email"),
+      requiredText("homeAddress", "Home address is required", 300),
+      optionalText("workAddress", "Work address", 300),
+    ],
+  },
+  {
+    // files are handled by the route (multer), there are no text fields to check
+    key: "documents",
+    title: "Documents",
+    fields: [],
+    validators: [],
+  },
+  {
+    key: "indemnity",
+    title: "Consent",
+    fields: ["custom", "indemnityAccepted"],
+    validators: [
+      body("indemnityAccepted").custom((v) => filled(v)).withMessage("You must accept the indemnity terms before submitting the registration"),
+    ],
+  },
+];
+
+export const STEP_KEYS = REGISTRATION_STEPS.map((s) => s.key);
+export const stepIndex = (key) => STEP_KEYS.indexOf(key);
+export const getStep = (key) => REGISTRATION_STEPS.find((s) => s.key === key) || null;
+
+// Repeating rows arrive as arrays or index-keyed objects; keep rows with any value
+function cleanRows(rows, keys) {
+  const list = Array.isArray(rows) ? rows : rows && typeof rows === "object" ? Object.values(rows) : [];
+  return list
+    .filter((r) => r && typeof r === "object")
+    .map((r) => Object.fromEntries(keys.map((k) => [k, String(r[k] ?? "").trim()])))
+    .filter((r) => keys.some((k) => r[k]));
+}
+
+/** The part of a submitted body that belongs to `stepKey`. */
+export function pickStepData(stepKey, submitted = {}) {
+  const data = {};
+  for (const f of getStep(stepKey)?.fields || []) {
+    if (f === "previousSchools") data[f] = cleanRows(submitted[f], ["name", "syllabus", "stageGrade", "term", "year"]);
+    else if (f === "siblings") data[f] = cleanRows(submitted[f], ["fullName", "age"]);
+    else if (f === "custom") data[f] = submitted[f] && typeof submitted[f] === "object" ? submitted[f] : {};
+    else if (f === "indemnityAccepted") data[f] = submitted[f] ? "1" : "";
+    else data[f] = typeof submitted[f] === "string" ? submitted[f] : "";
+  }
+  return data;
+}
+
+/** Run one step's validators; resolves to { errors, data } with sanitized (trimmed) data. */
+export async function validateStep(stepKey, data) {
+  const req = { body: structuredClone(data || {}) };
+  for (const chain of getStep(stepKey)?.validators || []) await chain.run(req);
+  return { errors: validationResult(req).array(), data: req.body };
+}
+
+/** Validate every step of a complete submission; stops at the first step with errors. */
+export async function validateAll(data) {
+  let clean = { ...(data || {}) };
+  for (const step of REGISTRATION_STEPS) {
+    const result = await validateStep(step.key, pickStepData(step.key, clean));
+    if (result.errors.length) return { step: step.key, errors: result.errors, data: clean };
+    clean = { ...clean, ...result.data };
+  }
+  return { step: null, errors: [], data: clean };
+}
@@ -0,0 +1,42 @@
+// lib/roles.js
+// Who may do what in /admin. Roles are stored on the User and managed at
+// /admin/users; school-staff only reach the schools listed in `user.schools`.
+//   superadmin   — everything, including users and roles
+//   editor       — every school, document, import, placement and registration
+//   school-staff — their own schools' profile, documents and registrations
+export const ROLES = ["user", "school-staff", "editor", "superadmin"];
+
+export const ROLE_LABELS = {
+  user: "User",
+  "school-staff": "School staff",
+  editor: "Editor",
+  superadmin: "Super admin",
+};
+
+/** The effective role; the legacy "admin" role keeps full access. */
+export function roleOf(user) {
+  if (user?.role === "admin") return "superadmin";
+  return ROLES.includes(user?.role) ? user.role : "user";
+}
+
+export const roleRank = (user) => ROLES.indexOf(roleOf(user));
+
+/** Any role that can open /admin. */
+export const isStaff = (user) => roleOf(user) !== "user";
+
+/** True when the user has one of `roles`; superadmins pass every check. */
+export function hasRole(user, ...roles) {
+  const role = roleOf(user);
+  return role === "superadmin" || roles.includes(role);
+}
+
+/** The school ids a user is limited to, or null when they may see every school. */
+export function schoolScope(user) {
+  return roleOf(user) === "school-staff" ? (user.schools || []).map(String) : null;
+}
+
+export function canManageSchool(user, schoolId) {
+  if (!isStaff(user)) return false;
+  const scope = schoolScope(user);
+  return !scope || scope.includes(String(schoolId));
+}
@@ -0,0 +1,76 @@
+// lib/storage.js
+// File storage behind a small interface so uploads can move off local disk
+// later. Keys are relative paths ("school-documents/<id>/<file>"); callers
+// never see absolute paths except through stat()/createReadStream().
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(
+  process.env.UPLOAD_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "uploads")
+);
+
+// keep keys inside ROOT no matter what is passed in
+function resolveKey(key) {
+  const full = path.resolve(ROOT, String(key || ""));
+  if (!full.startsWith(ROOT + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return full;
+}
+
+const safeName = (name) =>
+  String(name || "file")
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(-80) || "file";
+
+export const storage = {
+  root: ROOT,
+
+  /** Write a buffer under `folder`; returns { key, size }. */
+  async save(buffer, { folder = "misc", filename } = {}) {
+    const key = path.posix.join(folder, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}-${safeName(filename)}`);
+    const full = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    await fs.promises.writeFile(full, buffer);
+    return { key, size: buffer.length };
+  },
+
+  /** { path, size, mtime } or null when the file is missing. */
+  async stat(key) {
+    try {
+      const full = resolveKey(key);
+      const st = await fs.promises.stat(full);
+      return { path: full, size: st.size, mtime: st.mtime };
+    } catch {
+      return null;
+    }
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(resolveKey(key));
+  },
+
+  async remove(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  },
+
+  /** Sub-folders directly under `folder` as [{ key, mtime }] ([] when it doesn't exist). */
+  async folders(folder) {
+    const dir = resolveKey(folder);
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const out = [];
+    for (const e of entries.filter((d) => d.isDirectory())) {
+      const st = await fs.promises.stat(path.join(dir, e.name));
+      out.push({ key: path.posix.join(folder, e.name), mtime: st.mtime });
+    }
+    return out;
+  },
+
+  /** Delete a folder and everything in it. */
+  async removeFolder(folder) {
+    await fs.promises.rm(resolveKey(folder), { recursive: true, force: true });
+  },
+};
+
+export default storage;
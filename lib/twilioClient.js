@@ -0,0 +1,36 @@
+// lib/twilioClient.js
+// Outbound WhatsApp messages through the Twilio REST API. The client can be
+// swapped with setTwilioClient() (a fake in tests, or a stub in local dev).
+import twilio from "twilio";
+
+let override = null;
+
+/** Use `client` (anything with messages.create) instead of the real one; null restores it. */
+export function setTwilioClient(client) {
+  override = client;
+}
+
+export function getTwilioClient() {
+  if (override) return override;
+  // Prefer subaccount creds if provided (useful when using a Twilio subaccount)
+  const subSid = process.env.TWILIO_SUBACCOUNT_SID;
+  const subToken = process.env.TWILIO_SUBACCOUNT_AUTH_TOKEN;
+  if (subSid && subToken) return twilio(subSid, subToken);
+
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) return null;
+  return twilio(sid, token);
+}
+
+/** Whether WhatsApp messages can be sent (a client plus TWILIO_WHATSAPP_FROM, e.g. 'whatsapp:+263784277776'). */
+export const canSendWhatsApp = () => !!(process.env.TWILIO_WHATSAPP_FROM && (override || getTwilioClient()));
+
+/** Send `body` to a phone number (any format); throws when Twilio refuses. */
+export async function sendWhatsApp(phone, body) {
+  const client = getTwilioClient();
+  const from = process.env.TWILIO_WHATSAPP_FROM;
+  if (!client || !from) throw new Error("Twilio client or TWILIO_WHATSAPP_FROM not configured");
+  const to = `whatsapp:+${String(phone).replace(/\D+/g, "")}`;
+  return client.messages.create({ from, to, body });
+}
@@ -0,0 +1,81 @@
+// lib/userMerge.js
+// Folding one user record into another (duplicate accounts for the same
+// person). Works on plain objects so it can be used on lean docs and raw
+// collection documents alike.
+import User, { identitiesOf, normalizeEmail, normalizePhone } from "../models/user.js";
+import Registration from "../models/registration.js";
+import { roleRank } from "./roles.js";
+
+/** True when saved prefs hold an actual search, not just an empty default. */
+export const hasPrefs = (p) =>
+  !!p && typeof p === "object" && !Array.isArray(p) &&
+  Object.entries(p).some(([k, v]) => k !== "savedAt" && (Array.isArray(v) ? v.length : v));
+
+const prefsTime = (user) => new Date(user.lastPrefs?.savedAt || user.updatedAt || 0).getTime();
+
+/**
+ * The fields to $set on `target` so it also carries everything `source` had:
+ * favourites (and staff schools) are unioned, the newer search wins, the higher role wins and
+ * missing contact details are filled in. The source's sign-in identities are
+ * added to the target's; the primary provider/providerId stays the target's.
+ */
+export function mergedUserFields(target, source) {
+  const set = {};
+
+  const seen = new Set((target.favourites || []).map(String));
+  const extra = (source.favourites || []).filter((id) => !seen.has(String(id)) && seen.add(String(id)));
+  if (extra.length) set.favourites = [...(target.favourites || []), ...extra];
+
+  if (hasPrefs(source.lastPrefs) && (!hasPrefs(target.lastPrefs) || prefsTime(source) > prefsTime(target))) {
+    set.lastPrefs = source.lastPrefs;
+  }
+
+  // the source's sign-in methods now open the target
+  const identities = identitiesOf(target);
+  for (const i of identitiesOf(source)) {
+    if (!identities.some((t) => t.provider === i.provider && t.providerId === i.providerId)) identities.push(i);
+  }
+  if (identities.length !== (target.identities || []).length) set.identities = identities;
+
+  if (roleRank(source) > roleRank(target)) set.role = source.role;
+  const schools = new Set((target.schools || []).map(String));
+  const moreSchools = (source.schools || []).filter((id) => !schools.has(String(id)));
+  if (moreSchools.length) set.schools = [...(target.schools || []), ...moreSchools];
+
+  if (!target.name && source.name) set.name = source.name;
+  if (!target.photo && source.photo) set.photo = source.photo;
+  if (!normalizeEmail(target.email) && normalizeEmail(source.email)) set.email = normalizeEmail(source.email);
+  if (!normalizePhone(target.phone) && normalizePhone(source.phone)) set.phone = normalizePhone(source.phone);
+
+  if (source.createdAt && (!target.createdAt || new Date(source.createdAt) < new Date(target.createdAt))) {
+    set.createdAt = source.createdAt;
+  }
+  return set;
+}
+
+/**
+ * Which of several duplicate records should survive: web logins over WhatsApp
+ * (the bot also finds users by phone, web sign-in only by provider or email),
+ * then the oldest.
+ */
+export function pickSurvivor(users) {
+  return [...users].sort((a, b) => {
+    const wa = a.provider === "whatsapp" ? 1 : 0;
+    const wb = b.provider === "whatsapp" ? 1 : 0;
+    if (wa !== wb) return wa - wb;
+    return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+  })[0];
+}
+
+/**
+ * Fold `source` into `target` for good: copy its data across, move its
+ * registrations and delete it. `extra` is $set on the target as well.
+ * Resolves to the updated target (lean).
+ */
+export async function mergeUserInto(target, source, extra = {}) {
+  const set = { ...mergedUserFields(target, source), ...extra };
+  const merged = await User.findByIdAndUpdate(target._id, { $set: set }, { new: true }).lean();
+  await Registration.updateMany({ user: source._id }, { $set: { user: target._id } });
+  await User.deleteOne({ _id: source._id });
+  return merged;
+}
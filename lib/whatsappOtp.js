@@ -0,0 +1,116 @@
+// lib/whatsappOtp.js
+// Web sign-in with a one-time code sent over WhatsApp, and the passport
+// strategy that checks it. Codes are hashed, expire and allow a few guesses.
+import crypto from "crypto";
+import passport from "passport";
+import OtpCode from "../models/otpCode.js";
+import { normalizePhone } from "../models/user.js";
+import { sendWhatsApp } from "./twilioClient.js";
+import { hitRateLimit } from "../middleware/rateLimit.js";
+
+export const OTP_TTL_MS = 10 * 60 * 1000;
+export const OTP_MAX_ATTEMPTS = 5;
+// every code is a paid message, so numbers are capped as well as IPs (in routes/auth.js)
+export const OTP_SEND_LIMIT = { windowMs: 60 * 60 * 1000, max: 5 };
+
+// E.164 without the "+": country code + subscriber number
+const PHONE_DIGITS_RX = /^[1-9]\d{7,14}$/;
+
+const secret = () => process.env.OTP_SECRET || process.env.SESSION_SECRET || "change-me";
+const hashCode = (phone, code) => crypto.createHmac("sha256", secret()).update(`otp:${phone}:${code}`).digest("hex");
+
+/**
+ * Digits of a usable international number, or "". Local numbers ("077…") get
+ * DEFAULT_COUNTRY_CODE (Zimbabwe, 263, unless set).
+ */
+export function otpPhone(input) {
+  let digits = normalizePhone(input);
+  if (/^0[1-9]\d{6,11}$/.test(digits)) digits = `${process.env.DEFAULT_COUNTRY_CODE || "263"}${digits.slice(1)}`;
+  return PHONE_DIGITS_RX.test(digits) ? digits : "";
+}
+
+/**
+ * Send a fresh code to `phone` (replacing any pending one). Resolves to
+ * { phone } or, once the number has had OTP_SEND_LIMIT codes, { error }.
+ * `send(phone, text)` defaults to the Twilio WhatsApp sender.
+ */
+export async function sendOtp(phone, { send = sendWhatsApp } = {}) {
+  const digits = otpPhone(phone);
+  if (!digits) throw new Error("invalid phone number");
+  const { limited } = await hitRateLimit("signin-otp-phone", digits, OTP_SEND_LIMIT);
+  if (limited) return { error: "Too many codes sent to this number — please try again in an hour." };
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  await OtpCode.findOneAndUpdate(
+    { phone: digits },
+    { $set: { codeHash: hashCode(digits, code), attempts: 0, expiresAt: new Date(Date.now() + OTP_TTL_MS) } },
+    { upsert: true }
+  );
+  try {
+    await send(digits, `Your ZimEduFinder sign-in code is ${code}. It expires in ${Math.round(OTP_TTL_MS / 60000)} minutes. Don't share it with anyone.`);
+  } catch (err) {
+    await OtpCode.deleteOne({ phone: digits });
+    throw err;
+  }
+  return { phone: digits };
+}
+
+/**
+ * Check `code` for `phone`. Resolves to { phone } on success (the code is used
+ * up) or { error } for the form. Too many wrong guesses discard the code.
+ */
+export async function verifyOtp(phone, code) {
+  const digits = otpPhone(phone);
+  const given = String(code || "").replace(/\s+/g, "");
+  if (!digits || !/^\d{6}$/.test(given)) return { error: "Enter the 6-digit code we sent you on WhatsApp." };
+
+  // take an attempt before comparing, so parallel guesses can't get past the limit
+  const pending = await OtpCode.findOneAndUpdate(
+    { phone: digits, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+  if (!pending) {
+    const spent = await OtpCode.exists({ phone: digits, expiresAt: { $gt: new Date() } });
+    return { error: spent ? "Too many wrong codes. Send a new one." : "That code has expired. Send a new one." };
+  }
+
+  const expected = Buffer.from(pending.codeHash, "hex");
+  const actual = Buffer.from(hashCode(digits, given), "hex");
+  if (crypto.timingSafeEqual(expected, actual)) {
+    // single use: only the request that deletes it signs in
+    const used = await OtpCode.deleteOne({ _id: pending._id });
+    return used.deletedCount ? { phone: digits } : { error: "That code has already been used. Send a new one." };
+  }
+
+  const left = OTP_MAX_ATTEMPTS - pending.attempts;
+  if (left <= 0) {
+    await OtpCode.deleteOne({ _id: pending._id });
+    return { error: "Too many wrong codes. Send a new one." };
+  }
+  return { error: `That code isn't right — ${left} ${left === 1 ? "try" : "tries"} left.` };
+}
+
+/**
+ * passport strategy "whatsapp-otp": reads `phone` and `code` from the body.
+ * `verify(req, phone, done)` resolves the user for the (normalised) number.
+ */
+export class WhatsAppOtpStrategy extends passport.Strategy {
+  constructor(verify) {
+    super();
+    this.name = "whatsapp-otp";
+    this._verify = verify;
+  }
+
+  authenticate(req) {
+    verifyOtp(req.body?.phone, req.body?.code)
+      .then(({ phone, error }) => {
+        if (error) return this.fail({ message: error });
+        this._verify(req, phone, (err, user, info) => {
+          if (err) return this.error(err);
+          if (!user) return this.fail(info);
+          this.success(user, info);
+        });
+      })
+      .catch((err) => this.error(err));
+  }
+}
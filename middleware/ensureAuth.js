@@ -8,5 +8,5 @@ export function ensureAuth(req, res, next) {
   if (req.session) {
     req.session.returnTo = req.originalUrl || "/recommend";
   }
-  return res.redirect("/auth/google");
+  return res.redirect("/auth/signin");
 }
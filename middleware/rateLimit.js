@@ -0,0 +1,63 @@
+// middleware/rateLimit.js
+import RateLimit from "../models/rateLimit.js";
+
+/**
+ * Count one hit for `id` against limiter `name`.
+ * Resolves to { limited, retryAfter } (retryAfter in seconds). Fails open: if
+ * Mongo is unavailable the request is let through rather than blocking parents.
+ */
+export async function hitRateLimit(name, id, { windowMs, max }) {
+  if (!id) return { limited: false, retryAfter: 0 };
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const _id = `${name}:${id}:${window}`;
+  const expiresAt = new Date((window + 1) * windowMs);
+  const bump = () =>
+    RateLimit.findOneAndUpdate({ _id }, { $inc: { count: 1 }, $setOnInsert: { expiresAt } }, { upsert: true, new: true }).lean();
+  try {
+    let doc;
+    try {
+      doc = await bump();
+    } catch (err) {
+      // two first hits racing on the upsert; the second one retries as an update
+      if (err?.code !== 11000) throw err;
+      doc = await bump();
+    }
+    return { limited: doc.count > max, retryAfter: Math.ceil((expiresAt.getTime() - now) / 1000) };
+  } catch (err) {
+    console.warn(`[rateLimit] ${name} check failed:`, err?.message || err);
+    return { limited: false, retryAfter: 0 };
+  }
+}
+
+/** True when `id` has used up limiter `name` in this window; counts nothing. Fails open like hitRateLimit. */
+export async function isRateLimited(name, id, { windowMs, max }) {
+  const window = Math.floor(Date.now() / windowMs);
+  try {
+    const doc = await RateLimit.findById(`${name}:${id}:${window}`).lean();
+    return !!doc && doc.count >= max;
+  } catch (err) {
+    console.warn(`[rateLimit] ${name} check failed:`, err?.message || err);
+    return false;
+  }
+}
+
+/**
+ * Express middleware: `key(req)` returns the client id(s) to count (IP, phone, ...).
+ * Over the limit → 429 with Retry-After; JSON body when `json` is set.
+ */
+export function rateLimit({ name, windowMs, max, key = (req) => req.ip, skip, json = false, message = "Too many requests — please try again later." }) {
+  return async function rateLimitMiddleware(req, res, next) {
+    if (skip && skip(req)) return next();
+    const ids = [].concat(key(req) || []).filter(Boolean);
+    for (const id of ids) {
+      const { limited, retryAfter } = await hitRateLimit(name, id, { windowMs, max });
+      if (limited) {
+        console.warn(`[rateLimit] ${name} limited ${id} on ${req.method} ${req.originalUrl}`);
+        res.setHeader("Retry-After", retryAfter);
+        return json ? res.status(429).json({ error: message }) : res.status(429).send(message);
+      }
+    }
+    next();
+  };
+}
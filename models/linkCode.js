@@ -0,0 +1,16 @@
+// models/linkCode.js
+import mongoose from "mongoose";
+
+/**
+ * A one-time code a signed-in web user sends to the WhatsApp bot ("link 123456")
+ * to attach their number to the account. Only a hash of the code is stored.
+ */
+const LinkCodeSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  expiresAt: { type: Date, required: true },
+});
+
+LinkCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.LinkCode || mongoose.model("LinkCode", LinkCodeSchema);
@@ -0,0 +1,16 @@
+// models/loginToken.js
+import mongoose from "mongoose";
+
+/**
+ * An emailed sign-in link that has not been used yet. The link itself is
+ * HMAC-signed; this record (keyed by a hash of its nonce) makes it single-use.
+ */
+const LoginTokenSchema = new mongoose.Schema({
+  nonceHash: { type: String, required: true, unique: true },
+  email: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+});
+
+LoginTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.LoginToken || mongoose.model("LoginToken", LoginTokenSchema);
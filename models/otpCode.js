@@ -0,0 +1,17 @@
+// models/otpCode.js
+import mongoose from "mongoose";
+
+/**
+ * The pending WhatsApp sign-in code for a phone number (one at a time).
+ * Only an HMAC of the code is stored; `attempts` counts wrong guesses.
+ */
+const OtpCodeSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+OtpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.OtpCode || mongoose.model("OtpCode", OtpCodeSchema);
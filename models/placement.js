@@ -0,0 +1,34 @@
+// models/placement.js
+import mongoose from "mongoose";
+
+export const PLACEMENT_LABELS = ["Recommended", "Sponsored"];
+
+const PlacementDocumentSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * A school pinned to the top of /api/recommend results. Empty `cities`,
+ * `phases` or `curricula` mean "any"; dates are optional bounds.
+ */
+const PlacementSchema = new mongoose.Schema(
+  {
+    school: { type: mongoose.Schema.Types.ObjectId, ref: "School", required: true, index: true },
+    label: { type: String, enum: PLACEMENT_LABELS, default: "Recommended" },
+    cities: [String],
+    phases: [String], // matches School.type values, e.g. "High School"
+    curricula: [String], // matches School.curriculum_list values, e.g. "ZIMSEC"
+    startsAt: Date,
+    endsAt: Date,
+    active: { type: Boolean, default: true, index: true },
+    documents: [PlacementDocumentSchema],
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.Placement || mongoose.model("Placement", PlacementSchema);
@@ -0,0 +1,16 @@
+// models/rateLimit.js
+import mongoose from "mongoose";
+
+/**
+ * One fixed-window counter per limiter + client, e.g. "register-ip:1.2.3.4:29012345".
+ * Mongo drops the document once the window has passed.
+ */
+const RateLimitSchema = new mongoose.Schema({
+  _id: String,
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.RateLimit || mongoose.model("RateLimit", RateLimitSchema);
@@ -1,11 +1,39 @@
 // models/registration.js
 import mongoose from "mongoose";
 
+export const REGISTRATION_STATUSES = ["new", "contacted", "interview booked", "accepted", "declined"];
+export const REGISTRATION_ATTACHMENT_KINDS = ["birth certificate", "school report", "passport photo", "other"];
+
+// uploaded supporting document; the file itself lives in lib/storage.js
+export const RegistrationAttachmentSchema = new mongoose.Schema({
+  kind: { type: String, enum: REGISTRATION_ATTACHMENT_KINDS, default: "other" },
+  filename: String, // original name, used for downloads
+  mimeType: String,
+  size: Number,
+  storageKey: { type: String, required: true },
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+// who did something in the admin inbox
+const ActorSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId },
+    name: String,
+    email: String,
+  },
+  { _id: false }
+);
+
 const RegistrationSchema = new mongoose.Schema(
   {
+    reference: { type: String, unique: true, sparse: true }, // e.g. REG2026001, given to the parent
+    school: { type: mongoose.Schema.Types.ObjectId, ref: "School", index: true },
     schoolSlug: { type: String, index: true },
     schoolName: String,
 
+    // the signed-in account that submitted it (follows the person when accounts are merged)
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+
     // Student
     studentFirstName: String,
     studentMiddleName: String,
@@ -48,10 +76,39 @@ const RegistrationSchema = new mongoose.Schema(
     homeAddress: String,
     workAddress: String,
 
+    // answers to the school's registrationFields (label kept as asked at the time)
+    customFields: [
+      {
+        _id: false,
+        key: String,
+        label: String,
+        value: String,
+      },
+    ],
+
+    attachments: [RegistrationAttachmentSchema],
+
     // Indemnity/agreement (simple text/signature field)
     indemnityAccepted: { type: Boolean, default: false },
     indemnityText: String,
 
+    // admin inbox
+    status: { type: String, enum: REGISTRATION_STATUSES, default: "new", index: true },
+    statusHistory: [
+      {
+        status: { type: String, enum: REGISTRATION_STATUSES },
+        at: { type: Date, default: Date.now },
+        by: ActorSchema,
+      },
+    ],
+    notes: [
+      {
+        text: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+        by: ActorSchema,
+      },
+    ],
+
     // meta
     submittedAt: { type: Date, default: Date.now },
     ip: String,
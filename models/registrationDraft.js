@@ -0,0 +1,36 @@
+// models/registrationDraft.js
+import mongoose from "mongoose";
+import { RegistrationAttachmentSchema } from "./registration.js";
+
+const DRAFT_TTL_DAYS = 30;
+
+/**
+ * An unfinished /register wizard. Found through the visitor's session or the
+ * `token` in a resume link; removed on submit or after DRAFT_TTL_DAYS idle
+ * (its uploads are then removed by sweepOrphanedAttachments).
+ */
+const RegistrationDraftSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true, unique: true },
+    sessionId: { type: String, index: true },
+    school: { type: mongoose.Schema.Types.ObjectId, ref: "School", required: true },
+    schoolSlug: { type: String, required: true },
+    step: { type: String, default: "student" }, // furthest step reached
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    attachments: [RegistrationAttachmentSchema], // carried over to the Registration on submit
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+RegistrationDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+RegistrationDraftSchema.methods.touch = function touch() {
+  this.expiresAt = new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+export default mongoose.models.RegistrationDraft ||
+  mongoose.model("RegistrationDraft", RegistrationDraftSchema);
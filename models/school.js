@@ -45,6 +45,24 @@ const FacilitiesSchema = new mongoose.Schema(
   { _id: false }
 );
 
+export const SCHOOL_STATUSES = ["draft", "published", "archived"];
+export const REGISTRATION_FIELD_TYPES = ["text", "textarea", "select", "checkbox", "date"];
+
+// Extra question a school adds to its /register/:slug form
+const RegistrationFieldSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, match: /^[A-Za-z0-9_]+$/ },
+    label: { type: String, required: true, trim: true },
+    type: { type: String, enum: REGISTRATION_FIELD_TYPES, default: "text" },
+    options: [String], // for "select"
+    required: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// Records created before `status` existed were all public; keep treating them as published.
+export const PUBLISHED_FILTER = { status: { $in: ["published", null] } };
+
 const SchoolSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
@@ -79,6 +97,25 @@ const SchoolSchema = new mongoose.Schema(
     normalizedName: { type: String, index: true },
     source: String,
     lastVerifiedAt: Date,
+
+    // Lifecycle: only published schools are shown on the site, API and bot
+    status: {
+      type: String,
+      enum: SCHOOL_STATUSES,
+      default: "draft",
+      index: true,
+    },
+    publishedAt: Date,
+    archivedAt: Date,
+
+    // Registrations: where notifications go and what the form asks
+    admissions: {
+      emails: { type: [String], default: [] },
+      contactName: String,
+      phone: String,
+    },
+    registrationFields: { type: [RegistrationFieldSchema], default: [] },
+    indemnityText: String, // the school's own terms; a generic consent is shown when empty
   },
   { timestamps: true }
 );
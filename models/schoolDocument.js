@@ -0,0 +1,35 @@
+// models/schoolDocument.js
+import mongoose from "mongoose";
+
+export const DOCUMENT_KINDS = ["registration", "profile", "enrollment", "other"];
+
+/**
+ * A downloadable file owned by a school (registration form, profile, ...).
+ * Served at /download/:schoolSlug/:key; the bytes live in lib/storage.js.
+ */
+const SchoolDocumentSchema = new mongoose.Schema(
+  {
+    school: { type: mongoose.Schema.Types.ObjectId, ref: "School", required: true, index: true },
+    key: { type: String, required: true, trim: true, match: /^[a-z0-9-]+$/ },
+    label: { type: String, required: true, trim: true },
+    kind: { type: String, enum: DOCUMENT_KINDS, default: "other" },
+    description: String,
+    filename: { type: String, required: true }, // download name sent in Content-Disposition
+    mimeType: { type: String, default: "application/pdf" },
+    size: Number,
+    storageKey: { type: String, required: true },
+    sortOrder: { type: Number, default: 0 },
+    // old /download/<key> links (from before per-school libraries) that redirect here
+    legacyKeys: { type: [String], index: true },
+    uploadedBy: {
+      user: { type: mongoose.Schema.Types.ObjectId },
+      name: String,
+      email: String,
+    },
+  },
+  { timestamps: true }
+);
+
+SchoolDocumentSchema.index({ school: 1, key: 1 }, { unique: true });
+
+export default mongoose.models.SchoolDocument || mongoose.model("SchoolDocument", SchoolDocumentSchema);
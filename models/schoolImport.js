@@ -0,0 +1,49 @@
+// models/schoolImport.js
+import mongoose from "mongoose";
+
+const ImportRowSchema = new mongoose.Schema(
+  {
+    row: Number, // line/position in the uploaded file
+    action: { type: String, enum: ["create", "update", "reject"], required: true },
+    name: String,
+    city: String,
+    slug: String,
+    issues: [String], // validation problems; any issue rejects the row
+    payload: mongoose.Schema.Types.Mixed, // normalized School fields to upsert
+    applied: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const SchoolImportSchema = new mongoose.Schema(
+  {
+    filename: String,
+    format: { type: String, enum: ["csv", "json", "xml"] },
+    status: { type: String, enum: ["preview", "applied", "discarded"], default: "preview", index: true },
+
+    importedBy: {
+      user: mongoose.Schema.Types.ObjectId,
+      name: String,
+      email: String,
+    },
+
+    rows: [ImportRowSchema],
+    counts: {
+      create: { type: Number, default: 0 },
+      update: { type: Number, default: 0 },
+      reject: { type: Number, default: 0 },
+    },
+
+    // filled in when the preview is applied
+    appliedAt: Date,
+    result: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.SchoolImport ||
+  mongoose.model("SchoolImport", SchoolImportSchema);
@@ -1,5 +1,8 @@
 // models/user.js
+// One user record for every channel: Google/Facebook web logins and WhatsApp
+// bot users (provider "whatsapp", providerId = the sender's number).
 import mongoose from "mongoose";
+import { ROLES } from "../lib/roles.js";
 
 const LastPrefsSchema = new mongoose.Schema(
   {
@@ -10,19 +13,90 @@ const LastPrefsSchema = new mongoose.Schema(
     type2: [{ type: String }],              // ["Day","Boarding"]
     facilities: [{ type: String }],         // keys in School.facilities
     schoolPhase: { type: String },          // e.g. "Primary", "Secondary", "Preschool"
+    nice: [{ type: String }],               // "nice to have" priority keys from the web form
+    savedAt: { type: Date },
   },
   { _id: false }
 );
 
+/** Digits only, so "+263 77 123 4567" and "whatsapp:+263771234567" compare equal. */
+export function normalizePhone(p) {
+  if (!p) return "";
+  return String(p).replace(/^whatsapp:/i, "").replace(/\D+/g, "");
+}
+
+export function normalizeEmail(e) {
+  return typeof e === "string" ? e.trim().toLowerCase() : "";
+}
+
+export const IDENTITY_PROVIDERS = ["google", "facebook", "whatsapp", "email"];
+export const IDENTITY_LABELS = { google: "Google", facebook: "Facebook", whatsapp: "WhatsApp", email: "Email" };
+
+// One way of signing in; a person can have several
+const IdentitySchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: IDENTITY_PROVIDERS, required: true },
+    providerId: { type: String, required: true }, // whatsapp: phone digits, email: the address
+    email: String, // as reported by the provider, for display
+    linkedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/** The stored form of an identity, so the same login always compares equal. */
+export function identityKey(provider, providerId) {
+  if (provider === "whatsapp") return { provider, providerId: normalizePhone(providerId) };
+  if (provider === "email") return { provider, providerId: normalizeEmail(providerId) };
+  return { provider, providerId: String(providerId || "") };
+}
+
+const sameIdentity = (a, b) => a.provider === b.provider && a.providerId === b.providerId;
+
+/**
+ * Every identity a user record carries, including ones recorded only in the
+ * older provider/providerId and phone fields. Works on docs and lean objects.
+ */
+export function identitiesOf(user) {
+  const list = (user.identities || []).map((i) => (i.toObject ? i.toObject() : { ...i }));
+  const add = (provider, providerId) => {
+    const key = identityKey(provider, providerId);
+    if (IDENTITY_PROVIDERS.includes(key.provider) && key.providerId && !list.some((i) => sameIdentity(i, key))) {
+      list.push({ ...key, linkedAt: user.createdAt || new Date() });
+    }
+  };
+  if (user.provider) add(user.provider, user.providerId);
+  if (user.phone) add("whatsapp", user.phone);
+  return list;
+}
+
+/** Query for the user holding an identity (older records are matched on the legacy fields). */
+export function identityFilter(provider, providerId) {
+  const key = identityKey(provider, providerId);
+  const or = [{ identities: { $elemMatch: key } }, { provider, providerId }];
+  if (provider === "whatsapp") or.push({ phone: key.providerId });
+  return { $or: or };
+}
+
 const UserSchema = new mongoose.Schema(
   {
+    // the first (primary) sign-in; every sign-in is listed in `identities`
     provider: { type: String, required: true },
     providerId: { type: String, required: true, index: true },
+    identities: { type: [IdentitySchema], default: [] },
+    // removed at /me/account; signing in with one of these never re-adds it by email match
+    unlinkedIdentities: {
+      type: [new mongoose.Schema({ provider: String, providerId: String, unlinkedAt: Date }, { _id: false })],
+      default: [],
+    },
     name: String,
-    email: { type: String, index: true },
+    email: { type: String, index: true, set: (v) => normalizeEmail(v) || undefined },
+    phone: { type: String, index: true, set: (v) => normalizePhone(v) || undefined },
     photo: String,
 
-    role: { type: String, enum: ["user", "admin"], default: "user", index: true },
+    // see lib/roles.js; "admin" is the legacy full-access role
+    role: { type: String, enum: [...ROLES, "admin"], default: "user", index: true },
+    // the schools a school-staff user manages
+    schools: [{ type: mongoose.Schema.Types.ObjectId, ref: "School" }],
 
     favourites: [{ type: mongoose.Schema.Types.ObjectId, ref: "School" }],
 
@@ -32,5 +106,52 @@ const UserSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+UserSchema.index({ provider: 1, providerId: 1 });
+UserSchema.index({ "identities.provider": 1, "identities.providerId": 1 });
+
+/** Add a sign-in method; returns false when the user already had it. */
+UserSchema.methods.addIdentity = function (provider, providerId, extra = {}) {
+  const key = identityKey(provider, providerId);
+  if (identitiesOf(this).some((i) => sameIdentity(i, key))) return false;
+  this.identities.push({ ...key, ...extra, linkedAt: new Date() });
+  this.unlinkedIdentities = this.unlinkedIdentities.filter((i) => !sameIdentity(i, key));
+  if (key.provider === "whatsapp") this.phone = key.providerId;
+  return true;
+};
+
+/**
+ * Remove a sign-in method; the primary provider/providerId moves to one that
+ * is still linked. Returns false when it wasn't linked or is the only one.
+ */
+UserSchema.methods.removeIdentity = function (provider, providerId) {
+  const key = identityKey(provider, providerId);
+  const identities = identitiesOf(this);
+  const remaining = identities.filter((i) => !sameIdentity(i, key));
+  if (remaining.length === identities.length || !remaining.length) return false;
+
+  this.identities = remaining;
+  if (key.provider === "whatsapp" && this.phone === key.providerId) this.phone = undefined;
+  if (sameIdentity(identityKey(this.provider, this.providerId), key)) {
+    this.provider = remaining[0].provider;
+    this.providerId = remaining[0].providerId;
+  }
+  if (!this.isUnlinked(key.provider, key.providerId)) this.unlinkedIdentities.push({ ...key, unlinkedAt: new Date() });
+  return true;
+};
+
+UserSchema.methods.isUnlinked = function (provider, providerId) {
+  const key = identityKey(provider, providerId);
+  return (this.unlinkedIdentities || []).some((i) => sameIdentity(i, key));
+};
+
+UserSchema.pre("validate", function (next) {
+  // WhatsApp users are identified by their number; keep `phone` in step with it
+  if (this.provider === "whatsapp" && !this.phone) this.phone = this.providerId;
+  // records from before `identities` get theirs filled in on the next save
+  const all = identitiesOf(this);
+  if (all.length !== this.identities.length) this.identities = all;
+  next();
+});
+
 // Avoid model overwrite errors in watch/reload environments
 export default mongoose.models.User || mongoose.model("User", UserSchema);
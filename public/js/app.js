@@ -10,6 +10,36 @@ const escapeHtml = (s = "") =>
 const getMulti = (id) =>
   Array.from(($(id)?.selectedOptions ?? [])).map(o => o.value).filter(Boolean);
 
+// "Nice to have" toggles → { curriculum: "nice", "facilities.library": "nice", ... }
+function collectPriorities() {
+  const priorities = {};
+  document.querySelectorAll('input[name="niceToHave"]:checked').forEach((cb) => {
+    if (cb.value === "facilities") {
+      document.querySelectorAll('input[name="facilities"]:checked')
+        .forEach((f) => { priorities[`facilities.${f.value}`] = "nice"; });
+    } else {
+      priorities[cb.value] = "nice";
+    }
+  });
+  return priorities;
+}
+
+// Fill the form from saved prefs (window.LAST_PREFS, set by /recommend for signed-in users)
+function applyPrefs(prefs) {
+  if (!prefs) return;
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const selectValues = (id, values = []) => {
+    Array.from($(id)?.options ?? []).forEach((o) => { o.selected = values.some((v) => same(v, o.value)); });
+  };
+  if ($("city") && prefs.city) $("city").value = prefs.city;
+  selectValues("learningEnvironment", prefs.learningEnvironment ? [prefs.learningEnvironment] : []);
+  selectValues("curriculum", prefs.curriculum);
+  selectValues("type", prefs.type);
+  selectValues("type2", prefs.type2);
+  document.querySelectorAll('input[name="facilities"]').forEach((cb) => { cb.checked = (prefs.facilities || []).includes(cb.value); });
+  document.querySelectorAll('input[name="niceToHave"]').forEach((cb) => { cb.checked = (prefs.niceToHave || []).includes(cb.value); });
+}
+
 async function submitPrefs(ev) {
   ev.preventDefault();
   const btn = $("findBtn"), out = $("results"), loader = $("loader");
@@ -25,6 +55,7 @@ async function submitPrefs(ev) {
     type: getMulti("type"),
     type2: getMulti("type2"),
     facilities: Array.from(document.querySelectorAll('input[name="facilities"]:checked')).map(x => x.value),
+    priorities: collectPriorities(),
   };
 
   try {
@@ -35,7 +66,9 @@ async function submitPrefs(ev) {
     });
     if (!res.ok) throw new Error(await res.text() || `HTTP ${res.status}`);
     const data = await res.json();
-    renderResults(data?.recommendations || []);
+    await loadFavourites();
+    renderResults(data?.recommendations || [], data?.pinnedSchool || null, data?.relaxed ? data.relaxedCriteria || [] : null);
+    out.scrollIntoView({ behavior: "smooth", block: "start" });
   } catch (e) {
     out.innerHTML = `<div class="card">Error: ${escapeHtml(e.message)}</div>`;
   } finally {
@@ -45,12 +78,152 @@ async function submitPrefs(ev) {
   }
 }
 
-function renderResults(list) {
+// School ids the signed-in user has starred; loaded once per page
+let favouriteIds = null;
+
+async function loadFavourites() {
+  if (favouriteIds) return favouriteIds;
+  try {
+    const res = await fetch("/api/favourites", { headers: { Accept: "application/json" } });
+    favouriteIds = new Set(res.ok ? ((await res.json()).favourites || []).map((f) => f.id) : []);
+  } catch {
+    favouriteIds = new Set();
+  }
+  return favouriteIds;
+}
+
+function buildFavouriteToggle(r) {
+  if (!r.id) return "";
+  const on = !!favouriteIds?.has(String(r.id));
+  return `<button type="button" class="fav-toggle${on ? " on" : ""}" data-fav="${escapeHtml(String(r.id))}" aria-pressed="${on}" title="${on ? "Remove from" : "Save to"} favourites">${on ? "★" : "☆"}</button>`;
+}
+
+function setFavouriteState(btn, on) {
+  btn.classList.toggle("on", on);
+  btn.setAttribute("aria-pressed", String(on));
+  btn.title = `${on ? "Remove from" : "Save to"} favourites`;
+  btn.textContent = on ? "★" : "☆";
+  if (favouriteIds) favouriteIds[on ? "add" : "delete"](btn.dataset.fav);
+}
+
+async function toggleFavourite(btn) {
+  const id = btn.dataset.fav;
+  const on = btn.classList.contains("on");
+  btn.disabled = true;
+  try {
+    const res = on
+      ? await fetch(`/api/favourites/${encodeURIComponent(id)}`, { method: "DELETE" })
+      : await fetch("/api/favourites", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ school: id }),
+        });
+    if (res.status === 401) {
+      window.location.href = "/auth/signin?returnTo=" + encodeURIComponent(window.location.pathname);
+      return;
+    }
+    // 404 on delete: already gone, which is what was asked for
+    if (!res.ok && !(on && res.status === 404)) {
+      const data = await res.json().catch(() => ({}));
+      alert(data.error || "Could not update favourites");
+      return;
+    }
+    setFavouriteState(btn, !on);
+  } catch (e) {
+    alert("Could not update favourites: " + e.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Schools ticked for /compare, in the order they were picked
+const COMPARE_MAX = 3;
+const compareSlugs = [];
+
+function buildCompareToggle(r) {
+  if (!r.slug) return "";
+  const checked = compareSlugs.includes(r.slug);
+  return `<label class="compare-toggle"><input type="checkbox" data-compare="${escapeHtml(r.slug)}"${checked ? " checked" : ""}> Compare</label>`;
+}
+
+function updateCompareBar() {
+  const bar = $("compareBar");
+  if (!bar) return;
+  bar.style.display = compareSlugs.length ? "flex" : "none";
+  $("compareCount").textContent = `${compareSlugs.length} of ${COMPARE_MAX} selected`;
+  const link = $("compareLink");
+  const ready = compareSlugs.length >= 2;
+  link.classList.toggle("disabled", !ready);
+  link.href = ready ? `/compare?slugs=${compareSlugs.map(encodeURIComponent).join(",")}` : "#";
+  document.querySelectorAll("input[data-compare]").forEach((box) => {
+    box.disabled = !box.checked && compareSlugs.length >= COMPARE_MAX;
+  });
+}
+
+function toggleCompare(box) {
+  const slug = box.dataset.compare;
+  const at = compareSlugs.indexOf(slug);
+  if (box.checked && at === -1 && compareSlugs.length < COMPARE_MAX) compareSlugs.push(slug);
+  if (!box.checked && at !== -1) compareSlugs.splice(at, 1);
+  box.checked = compareSlugs.includes(slug);
+  updateCompareBar();
+}
+
+// Per-criterion explanation of the match score
+function renderBreakdown(breakdown) {
+  if (!Array.isArray(breakdown) || !breakdown.length) return "";
+  const items = breakdown.map((b) => {
+    const pts = `${Math.round(b.points * 10) / 10}/${b.weight}`;
+    const tag = b.mustHave ? "" : " <em>(nice to have)</em>";
+    return `<li class="${b.score ? "" : "miss"}">${b.score ? "✔" : "✖"} ${escapeHtml(b.label)}${tag} — ${pts}</li>`;
+  }).join("");
+  return `<details class="breakdown"><summary>Why this score?</summary><ul>${items}</ul></details>`;
+}
+
+// Download buttons for a school's documents, plus online registration when pinned
+function buildSchoolActions(p, small = false) {
+  const size = small ? " btn-sm" : "";
+  const docs = (Array.isArray(p.documents) ? p.documents : []).map((d, i) =>
+    `<a class="btn${i ? " btn-light" : ""}${size}" href="${escapeHtml(d.url)}">${escapeHtml(d.label)}</a>`
+  ).join("");
+  const register = p.registerUrl
+    ? `<a class="btn btn-success${size}" href="${escapeHtml(p.registerUrl)}">Fill Registration Form Online</a>`
+    : "";
+  return docs + register;
+}
+
+function buildPinnedBanner(p) {
+  if (!p) return "";
+  const label = (p.label || "Recommended").toLowerCase();
+  return `
+    <div class="pinned-banner" data-pinned="${escapeHtml(p.slug || "")}">
+      <div style="display:flex;flex-wrap:wrap;align-items:center;gap:12px;justify-content:space-between">
+        <div style="flex:1;min-width:220px">
+          <strong style="font-size:16px">${escapeHtml(p.name || "Recommended school")}</strong>
+          <div style="font-size:13px;color:#444">This is our ${escapeHtml(label)} school — you can apply online or download the registration form.</div>
+        </div>
+        <div class="btn-row">${buildSchoolActions(p)}</div>
+      </div>
+    </div>`;
+}
+
+// Shown when no school met every must-have and the server loosened the search
+function buildRelaxedNotice(relaxedCriteria) {
+  if (!relaxedCriteria) return "";
+  const dropped = relaxedCriteria.map((c) => escapeHtml(c.label)).join(", ");
+  return `
+    <div class="card relaxed-notice">
+      <strong>No school matched all of your must-haves.</strong>
+      <div class="subtext">Showing the closest matches instead${dropped ? ` (relaxed: ${dropped})` : ""}.</div>
+    </div>`;
+}
+
+function renderResults(list, pinnedSchool = null, relaxedCriteria = null) {
   const out = $("results"); 
-  out.innerHTML = "";
+  out.innerHTML = buildPinnedBanner(pinnedSchool) + buildRelaxedNotice(relaxedCriteria);
 
   if (!Array.isArray(list) || list.length === 0) {
-    out.innerHTML = '<div class="card">No matches yet. Try widening your filters.</div>';
+    out.insertAdjacentHTML("beforeend", '<div class="card">No matches yet. Try widening your filters.</div>');
     return;
   }
 
@@ -64,59 +237,46 @@ function renderResults(list) {
     const env = r.learningEnvironment ? ` · ${escapeHtml(r.learningEnvironment)}` : "";
     const imgUrl = r.image || r.heroImage || r.logo || "/img/school-placeholder.png";
 
-    // Strict St Eurit detection: by slug or by name
-    const slug = (r.slug || "").toLowerCase();
-    const isStEuritBySlug = slug === "st-eurit-international-school-harare";
-    const isStEuritByName = (r.name || "").toLowerCase().includes("st eurit");
-    const isStEurit = isStEuritBySlug || isStEuritByName;
-
     const div = document.createElement("div");
     div.className = "result";
 
-    // prefill mailto link with subject and body (for St Eurit only — kept for reference)
-    const mailSubject = encodeURIComponent("EduLocate Enquiry – School Application");
-    const mailBody = encodeURIComponent(
-      "Dear Admissions Team,I am interested in applying for my child to join St Eurit International School. " +
-      "Please share more details about the admission process.Kind regards,[Your Name][Your Contact Info]"
-    );
-    const mailLink = `mailto:enquiries@steuritinternationalschool.org?subject=${mailSubject}&body=${mailBody}`;
-
-    // compute register href (fallback to slug or known st-eurit route)
-    const regHref = (r.registerUrl) || (r.slug ? `/register/${encodeURIComponent(r.slug)}` : '/register/st-eurit-international-school-harare');
-
-    // enrollment requirements path
-    const enrollmentPdf = '/docs/st-eurit-enrollment-requirements.pdf';
-
     div.innerHTML = `
       <img src="${imgUrl}" onerror="this.src='/img/school-placeholder.png'" alt="${name}" style="width:64px;height:64px;border-radius:8px;object-fit:cover">
       <div style="flex:1">
         <div style="display:flex;justify-content:space-between;align-items:center">
           <strong>${name}</strong>
-          ${isStEurit ? `
-            <a href="${mailLink}" class="tag-recommended" target="_blank" title="Send an enquiry email">
-              Recommended
-            </a>` : ""}
+          ${buildFavouriteToggle(r)}
+          ${typeof r.match === "number" ? `<span class="match-badge">${Math.round(r.match)}% match</span>` : ""}
+          ${r.pinned ? `<span class="tag-recommended">${escapeHtml(r.placementLabel || "Recommended")}</span>` : ""}
         </div>
         <div>${city}${env}${curriculum ? " · " + curriculum : ""}${type ? " · " + type : ""}${type2 ? " · " + type2 : ""}</div>
-        <div class="subtext">Reason: ${reason || "—"}</div>
-        ${isStEurit ? `
-          <div class="download-row">
-            <a class="btn btn-sm" href="/download/st-eurit-registration" type="application/pdf" download>
-              Download Registration Form (PDF)
-            </a>
-            <a class="btn btn-light btn-sm" href="/download/st-eurit-profile" type="application/pdf" download>
-              Download School Profile (PDF)
-            </a>
-            <a class="btn btn-light btn-sm" href="${enrollmentPdf}" type="application/pdf" download>
-              Enrollment Requirements (PDF)
-            </a>
-            ${regHref ? `<a class="btn btn-sm btn-success" href="${regHref}">Fill Registration Form Online</a>` : ''}
-          </div>` : ``}
+        <div class="subtext">Reason: ${reason || "—"} ${buildCompareToggle(r)}</div>
+        ${Array.isArray(r.misses) && r.misses.length ? `<div class="subtext misses">Doesn't match: ${escapeHtml(r.misses.join(", "))}</div>` : ""}
+        ${renderBreakdown(r.breakdown)}
+        ${r.pinned || (Array.isArray(r.documents) && r.documents.length) ? `<div class="download-row">${buildSchoolActions(r, true)}</div>` : ""}
       </div>`;
     out.appendChild(div);
   });
+  updateCompareBar();
 }
 
 window.addEventListener("DOMContentLoaded", () => {
   document.getElementById("prefsForm")?.addEventListener("submit", submitPrefs);
+  applyPrefs(window.LAST_PREFS);
+  $("rerunLast")?.addEventListener("click", () => {
+    applyPrefs(window.LAST_PREFS);
+    $("prefsForm")?.requestSubmit();
+  });
+  $("results")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest(".fav-toggle");
+    if (btn) toggleFavourite(btn);
+  });
+  $("results")?.addEventListener("change", (ev) => {
+    if (ev.target.matches("input[data-compare]")) toggleCompare(ev.target);
+  });
+  $("compareClear")?.addEventListener("click", () => {
+    compareSlugs.length = 0;
+    document.querySelectorAll("input[data-compare]").forEach((box) => { box.checked = false; });
+    updateCompareBar();
+  });
 });
@@ -1,10 +1,24 @@
 // routes/admin.js
 import { Router } from "express";
+import mongoose from "mongoose";
 import multer from "multer";
 import { parse as csvParse } from "csv-parse/sync";
+import { stringify as csvStringify } from "csv-stringify/sync";
+import { create as xmlCreate } from "xmlbuilder2";
 import methodOverride from "method-override";
-import School from "../models/school.js";
-import User from "../models/userCopy.js";
+import School, { SCHOOL_STATUSES, REGISTRATION_FIELD_TYPES } from "../models/school.js";
+import SchoolImport from "../models/schoolImport.js";
+import Placement, { PLACEMENT_LABELS } from "../models/placement.js";
+import SchoolDocument, { DOCUMENT_KINDS } from "../models/schoolDocument.js";
+import Registration, { REGISTRATION_STATUSES } from "../models/registration.js";
+import { registrationPdfBuffer, registrationPdfFilename } from "../lib/registrationPdf.js";
+import storage from "../lib/storage.js";
+import { documentUrl } from "../lib/documents.js";
+import User, { normalizePhone } from "../models/user.js";
+import { ROLES, ROLE_LABELS, roleOf, isStaff, hasRole, schoolScope, canManageSchool } from "../lib/roles.js";
+import { FACILITY_KEYS } from "../lib/facilities.js";
+import { spreadsheetCell } from "../lib/csv.js";
+import { esc } from "../lib/recommend.js";
 
 const router = Router();
 const upload = multer({
@@ -41,39 +55,61 @@ function parseBool(v) {
   return ["true", "on", "1", "yes"].includes(s);
 }
 
-const FACILITY_KEYS = [
-  // keep keys in sync with models/school.js FacilitiesSchema
-  "scienceLabs",
-  "computerLab",
-  "library",
-  "makerSpaceSteamLab",
-  "examCentreCambridge",
-  "examCentreZimsec",
-  "artStudio",
-  "musicRoom",
-  "dramaTheatre",
-  "swimmingPool",
-  "athleticsTrack",
-  "rugbyField",
-  "hockeyField",
-  "tennisCourts",
-  "basketballCourt",
-  "netballCourt",
-  "footballPitch",
-  "cricketField",
-  "counseling",
-  "learningSupportSEN",
-  "schoolClinicNurse",
-  "cafeteria",
-  "aftercare",
-  "boarding",
-  "transportBuses",
-  "wifiCampus",
-  "cctvSecurity",
-  "powerBackup",
-];
 
-function normalizeSchoolPayload(body = {}) {
+function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+}
+
+/**
+ * Registration form questions are edited as text, one per line:
+ *   Label | type | required | Option A, Option B
+ * Type defaults to "text"; options only apply to "select".
+ */
+function parseRegistrationFields(text) {
+  const seen = new Set();
+  const fields = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const [label, type, required, options] = line.split("|").map((s) => (s || "").trim());
+    const key = slugify(label).replace(/-/g, "_");
+    if (!label || !key || seen.has(key)) continue;
+    seen.add(key);
+    const fieldType = REGISTRATION_FIELD_TYPES.includes(type) ? type : "text";
+    fields.push({
+      key,
+      label,
+      type: fieldType,
+      required: /^(required|yes|true|1)$/i.test(required),
+      options: fieldType === "select" ? toArray(options) : [],
+    });
+  }
+  return fields;
+}
+
+function formatRegistrationFields(fields = []) {
+  return fields
+    .map((f) => [f.label, f.type, f.required ? "required" : "optional", (f.options || []).join(", ")].join(" | ").replace(/ \| $/, ""))
+    .join("\n");
+}
+
+// text inputs for admin/school_form from a saved school
+function schoolFormValues(school) {
+  return {
+    ...school,
+    admissionsEmails: (school.admissions?.emails || []).join(", "),
+    admissionsContactName: school.admissions?.contactName || "",
+    admissionsPhone: school.admissions?.phone || "",
+    registrationFieldsText: formatRegistrationFields(school.registrationFields),
+  };
+}
+
+/**
+ * With `partialFacilities`, only facility keys present on `body` are included
+ * (used by imports so a file without facility columns doesn't clear them).
+ */
+function normalizeSchoolPayload(body = {}, { partialFacilities = false } = {}) {
   const curriculum_list = toArray(body.curriculum_list || body.curriculum || body.curricula);
   const type = toArray(body.type);
   const type2 = toArray(body.type2);
@@ -81,20 +117,23 @@ function normalizeSchoolPayload(body = {}) {
   // Build facilities object
   const facilities = {};
   for (const k of FACILITY_KEYS) {
+    if (partialFacilities && !(k in body)) continue;
     facilities[k] = parseBool(body[k]);
   }
 
   const name = body.name ? String(body.name).trim() : "";
-  const slug = body.slug ? String(body.slug).trim() : "";
+  const city = body.city ? String(body.city).trim() : "Harare";
+  const slug = body.slug ? String(body.slug).trim() : name ? `${slugify(name)}-${slugify(city)}` : "";
   const normalizedName = name ? name.toLowerCase().replace(/\s+/g, " ").trim() : "";
 
   const result = {
     name,
     slug,
     normalizedName,
-    city: body.city ? String(body.city).trim() : "Harare",
+    city,
     type,
     type2,
+    gender: body.gender ? String(body.gender).trim() : undefined,
     curriculum_list,
     address: body.address ? String(body.address).trim() : undefined,
     contact: body.contact ? String(body.contact).trim() : undefined,
@@ -106,8 +145,20 @@ function normalizeSchoolPayload(body = {}) {
     hasWebsite: !!(body.website && String(body.website).trim()),
     hasFacebook: !!(body.facebookUrl && String(body.facebookUrl).trim()),
     source: body.source ? String(body.source).trim() : undefined,
+    status: SCHOOL_STATUSES.includes(body.status) ? body.status : undefined,
   };
 
+  // registration settings only change when the form or an import file has them
+  if ("admissionsEmails" in body) {
+    result.admissions = {
+      emails: toArray(body.admissionsEmails),
+      contactName: String(body.admissionsContactName || "").trim(),
+      phone: String(body.admissionsPhone || "").trim(),
+    };
+  }
+  if ("registrationFieldsText" in body) result.registrationFields = parseRegistrationFields(body.registrationFieldsText);
+  if ("indemnityText" in body) result.indemnityText = String(body.indemnityText || "").trim();
+
   // Remove undefined fields so mongoose won't overwrite with undefined
   Object.keys(result).forEach((k) => {
     if (result[k] === undefined) delete result[k];
@@ -118,37 +169,76 @@ function normalizeSchoolPayload(body = {}) {
 
 /* ----------------- auth helpers ----------------- */
 function ensureAuthed(req, res, next) {
-  if (!req.user) return res.redirect("/auth/google");
+  if (!req.user) {
+    if (req.session) req.session.returnTo = req.originalUrl;
+    return res.redirect("/auth/signin");
+  }
   next();
 }
-function ensureAdmin(req, res, next) {
-  if (!req.user || req.user.role !== "admin") return res.status(403).send("Forbidden");
+// Any admin role; also tells the views which sections to offer
+function ensureStaff(req, res, next) {
+  if (!isStaff(req.user)) return res.status(403).send("Forbidden");
+  res.locals.can = {
+    users: hasRole(req.user),
+    allSchools: hasRole(req.user, "editor"),
+    deleteSchools: hasRole(req.user),
+  };
+  next();
+}
+// requireRole() alone lets only super admins through
+const requireRole = (...roles) => (req, res, next) =>
+  hasRole(req.user, ...roles) ? next() : res.status(403).send("Forbidden");
+const ensureEditor = requireRole("editor");
+const ensureSuperadmin = requireRole();
+
+// For /schools/:id/... routes: school-staff only reach their own schools
+function ensureSchoolAccess(req, res, next) {
+  if (!canManageSchool(req.user, req.params.id)) return res.status(403).send("Forbidden");
   next();
 }
 
+/** Extra conditions limiting a query to the user's schools ({} when unrestricted). */
+async function registrationScope(user) {
+  const scope = schoolScope(user);
+  if (!scope) return {};
+  const ids = scope.filter((id) => mongoose.isValidObjectId(id)).map((id) => new mongoose.Types.ObjectId(id));
+  // older registrations may only carry the slug
+  const slugs = (await School.find({ _id: { $in: ids } }).select("slug").lean()).map((s) => s.slug).filter(Boolean);
+  return { $or: [{ school: { $in: ids } }, { schoolSlug: { $in: slugs } }] };
+}
+
 /* ----------------- admin routes ----------------- */
 
 // Dashboard
-router.get("/", ensureAuthed, ensureAdmin, async (_req, res) => {
-  const [schoolCount, userCount] = await Promise.all([
-    School.countDocuments({}),
-    User.countDocuments({}),
+router.get("/", ensureAuthed, ensureStaff, async (req, res) => {
+  const scope = schoolScope(req.user);
+  const [schoolCount, userCount, newRegistrationCount] = await Promise.all([
+    School.countDocuments(scope ? { _id: { $in: scope } } : {}),
+    res.locals.can.users ? User.countDocuments({}) : null,
+    Registration.countDocuments({ status: { $in: ["new", null] }, ...(await registrationScope(req.user)) }),
   ]);
-  res.render("admin/dashboard", { title: "Admin · Dashboard", schoolCount, userCount });
+  res.render("admin/dashboard", { title: "Admin · Dashboard", schoolCount, userCount, newRegistrationCount });
 });
 
 // Users list
-router.get("/users", ensureAuthed, ensureAdmin, async (req, res) => {
+router.get("/users", ensureAuthed, ensureStaff, ensureSuperadmin, async (req, res) => {
   const q = (req.query.q || "").trim();
+  const rx = new RegExp(esc(q), "i");
+  const digits = normalizePhone(q);
   const filter = q
-    ? { $or: [{ email: new RegExp(q, "i") }, { name: new RegExp(q, "i") }] }
+    ? { $or: [{ email: rx }, { name: rx }, ...(digits.length >= 4 ? [{ phone: new RegExp(digits) }] : [])] }
     : {};
-  const users = await User.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+  const users = await User.find(filter).sort({ createdAt: -1 }).limit(500).populate("schools", "name").lean();
+  for (const u of users) {
+    u.isWhatsApp = u.provider === "whatsapp";
+    u.roleLabel = ROLE_LABELS[roleOf(u)];
+    u.schoolNames = roleOf(u) === "school-staff" ? (u.schools || []).map((s) => s.name).join(", ") : "";
+  }
   res.render("admin/users_list", { title: "Admin · Users", users, q });
 });
 
 // Delete user (DELETE)
-router.delete("/users/:id", ensureAuthed, ensureAdmin, async (req, res) => {
+router.delete("/users/:id", ensureAuthed, ensureStaff, ensureSuperadmin, async (req, res) => {
   try {
     const id = req.params.id;
     if (req.user && String(req.user._id) === String(id)) {
@@ -166,10 +256,10 @@ router.delete("/users/:id", ensureAuthed, ensureAdmin, async (req, res) => {
 });
 
 // Fallback POST route (handy for forms without proper _method)
-router.post("/users/:id/delete", ensureAuthed, ensureAdmin, async (req, res) => {
+router.post("/users/:id/delete", ensureAuthed, ensureStaff, ensureSuperadmin, async (req, res) => {
   try {
     const id = req.params.id;
-    if (req.user && String(req.user._1d) === String(id)) {
+    if (req.user && String(req.user._id) === String(id)) {
       return res.status(400).send("Cannot delete yourself");
     }
     await User.findByIdAndDelete(id);
@@ -183,22 +273,185 @@ router.post("/users/:id/delete", ensureAuthed, ensureAdmin, async (req, res) =>
   }
 });
 
+/* ---------- roles and school access ---------- */
+
+async function renderUserAccess(res, user, extra = {}) {
+  const role = roleOf(user);
+  const mine = new Set((user.schools || []).map(String));
+  const schools = await School.find({}).select("name city").sort({ name: 1 }).lean();
+  res.render("admin/user_access", {
+    title: `Admin · Access · ${user.name || user.email || user.phone}`,
+    target: user,
+    roles: ROLES.map((value) => ({ value, label: ROLE_LABELS[value], selected: value === role })),
+    schools: schools.map((s) => ({ ...s, selected: mine.has(String(s._id)) })),
+    ...extra,
+  });
+}
+
+router.get("/users/:id/access", ensureAuthed, ensureStaff, ensureSuperadmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).lean();
+    if (!user) return res.status(404).send("Not found");
+    await renderUserAccess(res, user, { msg: req.query.msg });
+  } catch (err) {
+    console.error("[admin/users/access] error:", err);
+    res.status(500).send("Failed to load user access");
+  }
+});
+
+router.post("/users/:id/access", ensureAuthed, ensureStaff, ensureSuperadmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).lean();
+    if (!user) return res.status(404).send("Not found");
+    const fail = (error) => renderUserAccess(res.status(400), user, { error });
+
+    const role = req.body.role;
+    if (!ROLES.includes(role)) return fail("Unknown role.");
+    // a super admin demoting themselves could leave nobody able to manage roles
+    if (String(user._id) === String(req.user._id) && role !== roleOf(user)) {
+      return fail("You can't change your own role.");
+    }
+    const ids = toArray(req.body.schools).filter((id) => mongoose.isValidObjectId(id));
+    const schools = role === "school-staff" ? await School.find({ _id: { $in: ids } }).distinct("_id") : [];
+    if (role === "school-staff" && !schools.length) return fail("Choose at least one school for school staff.");
+
+    await User.updateOne({ _id: user._id }, { $set: { role, schools } });
+    res.redirect(`/admin/users/${user._id}/access?msg=${encodeURIComponent("Access updated")}`);
+  } catch (err) {
+    console.error("[admin/users/access/update] error:", err);
+    res.status(500).send("Failed to update user access");
+  }
+});
+
 /* ---------- schools CRUD ---------- */
 
-router.get("/schools", ensureAuthed, ensureAdmin, async (req, res) => {
-  const q = (req.query.q || "").trim();
+// Shared by the schools list and export so both see the same selection
+function schoolListFilter(query = {}) {
+  const q = String(query.q || "").trim();
+  const status = SCHOOL_STATUSES.includes(query.status) ? query.status : "";
   const filter = q ? { name: new RegExp(q, "i") } : {};
+  if (status === "published") filter.status = { $in: ["published", null] };
+  else if (status) filter.status = status;
+  return { q, status, filter };
+}
+
+router.get("/schools", ensureAuthed, ensureStaff, async (req, res) => {
+  const { q, status, filter } = schoolListFilter(req.query);
+  const scope = schoolScope(req.user);
+  if (scope) filter._id = { $in: scope };
   const schools = await School.find(filter).sort({ name: 1 }).limit(500).lean();
-  res.render("admin/schools_list", { title: "Admin · Schools", schools, q });
+  for (const s of schools) {
+    s.status = s.status || "published";
+    s.isPublished = s.status === "published";
+    s.isArchived = s.status === "archived";
+  }
+  res.render("admin/schools_list", {
+    title: "Admin · Schools",
+    schools,
+    q,
+    status,
+    statuses: SCHOOL_STATUSES,
+    exportQuery: new URLSearchParams({ q, status }).toString(),
+  });
+});
+
+/* ---------- export (CSV / JSON / Excel XML) ---------- */
+
+// Column order for flat exports; every column is accepted back by /admin/import
+const EXPORT_COLUMNS = [
+  "name",
+  "slug",
+  "city",
+  "status",
+  "type",
+  "type2",
+  "gender",
+  "curriculum_list",
+  "address",
+  "contact",
+  "tier",
+  "learningEnvironment",
+  "website",
+  "facebookUrl",
+  "source",
+  ...FACILITY_KEYS,
+  // registration settings, as the school form edits them
+  "admissionsEmails",
+  "admissionsContactName",
+  "admissionsPhone",
+  "registrationFieldsText",
+  "indemnityText",
+];
+
+const SS_NS = "urn:schemas-microsoft-com:office:spreadsheet";
+
+function schoolToExportRow(school) {
+  const s = schoolFormValues(school);
+  const row = {};
+  for (const col of EXPORT_COLUMNS) {
+    if (FACILITY_KEYS.includes(col)) row[col] = s.facilities?.[col] === true ? "true" : "false";
+    else if (Array.isArray(s[col])) row[col] = s[col].join(", ");
+    else if (col === "status") row[col] = s.status || "published";
+    else row[col] = s[col] == null ? "" : String(s[col]);
+  }
+  return row;
+}
+
+// SpreadsheetML 2003: opens directly in Excel/LibreOffice and can be re-imported
+function buildSpreadsheetXml(rows) {
+  const doc = xmlCreate({ version: "1.0", encoding: "UTF-8" })
+    .ins("mso-application", 'progid="Excel.Sheet"')
+    .ele(SS_NS, "ss:Workbook");
+  const table = doc.ele(SS_NS, "ss:Worksheet").att(SS_NS, "ss:Name", "Schools").ele(SS_NS, "ss:Table");
+  const addRow = (values) => {
+    const rowEl = table.ele(SS_NS, "ss:Row");
+    for (const v of values) {
+      rowEl.ele(SS_NS, "ss:Cell").ele(SS_NS, "ss:Data").att(SS_NS, "ss:Type", "String").txt(v);
+    }
+  };
+  addRow(EXPORT_COLUMNS);
+  for (const r of rows) addRow(EXPORT_COLUMNS.map((c) => r[c]));
+  return doc.end();
+}
+
+// GET /admin/schools/export?format=csv|json|xls&q=&status=
+router.get("/schools/export", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  try {
+    const { filter } = schoolListFilter(req.query);
+    const format = ["json", "xls"].includes(req.query.format) ? req.query.format : "csv";
+    const schools = await School.find(filter).sort({ name: 1 }).lean();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "json") {
+      const docs = schools.map((s) => {
+        const { _id, __v, normalizedName, createdAt, updatedAt, ...rest } = s;
+        return { ...rest, status: s.status || "published" };
+      });
+      res.setHeader("Content-Disposition", `attachment; filename="schools-${stamp}.json"`);
+      return res.type("application/json").send(JSON.stringify(docs, null, 2));
+    }
+
+    const rows = schools.map(schoolToExportRow);
+    if (format === "xls") {
+      res.setHeader("Content-Disposition", `attachment; filename="schools-${stamp}.xls"`);
+      return res.type("application/vnd.ms-excel").send(buildSpreadsheetXml(rows));
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="schools-${stamp}.csv"`);
+    res.type("text/csv").send(csvStringify(rows, { header: true, columns: EXPORT_COLUMNS }));
+  } catch (err) {
+    console.error("[admin/schools/export] error:", err);
+    res.status(500).send("Failed to export schools");
+  }
 });
 
 // Create form
-router.get("/schools/new", ensureAuthed, ensureAdmin, (_req, res) => {
+router.get("/schools/new", ensureAuthed, ensureStaff, ensureEditor, (_req, res) => {
   res.render("admin/school_form", { title: "Admin · New School", school: {}, isNew: true });
 });
 
 // Create submit
-router.post("/schools", ensureAuthed, ensureAdmin, async (req, res) => {
+router.post("/schools", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
   try {
     const body = normalizeSchoolPayload(req.body);
     await School.create(body);
@@ -219,14 +472,15 @@ router.post("/schools", ensureAuthed, ensureAdmin, async (req, res) => {
 });
 
 // Edit form
-router.get("/schools/:id/edit", ensureAuthed, ensureAdmin, async (req, res) => {
+router.get("/schools/:id/edit", ensureAuthed, ensureStaff, ensureSchoolAccess, async (req, res) => {
   try {
     const school = await School.findById(req.params.id).lean();
     if (!school) return res.status(404).send("Not found");
     res.render("admin/school_form", {
       title: `Admin · Edit ${school.name}`,
-      school,
+      school: schoolFormValues(school),
       isNew: false,
+      lockSlug: !res.locals.can.allSchools,
     });
   } catch (err) {
     console.error("[admin/schools/edit] error:", err);
@@ -235,9 +489,15 @@ router.get("/schools/:id/edit", ensureAuthed, ensureAdmin, async (req, res) => {
 });
 
 // UPDATE
-router.put("/schools/:id", ensureAuthed, ensureAdmin, async (req, res) => {
+router.put("/schools/:id", ensureAuthed, ensureStaff, ensureSchoolAccess, async (req, res) => {
   try {
     const body = normalizeSchoolPayload(req.body);
+    // the public URL, listing status and tier stay with editors
+    if (!res.locals.can.allSchools) {
+      delete body.slug;
+      delete body.status;
+      delete body.tier;
+    }
     await School.findByIdAndUpdate(req.params.id, { $set: body });
     res.redirect("/admin/schools");
   } catch (err) {
@@ -248,6 +508,7 @@ router.put("/schools/:id", ensureAuthed, ensureAdmin, async (req, res) => {
         school: Object.assign({}, req.body, { _id: req.params.id }),
         errors: err.errors,
         isNew: false,
+        lockSlug: !res.locals.can.allSchools,
       });
     }
     res.status(500).send("Failed to update school");
@@ -255,9 +516,12 @@ router.put("/schools/:id", ensureAuthed, ensureAdmin, async (req, res) => {
 });
 
 // DELETE
-router.delete("/schools/:id", ensureAuthed, ensureAdmin, async (req, res) => {
+router.delete("/schools/:id", ensureAuthed, ensureStaff, ensureSuperadmin, async (req, res) => {
   try {
     await School.findByIdAndDelete(req.params.id);
+    const docs = await SchoolDocument.find({ school: req.params.id }).select("storageKey").lean();
+    await SchoolDocument.deleteMany({ school: req.params.id });
+    await Promise.all(docs.map((d) => storage.remove(d.storageKey).catch(() => {})));
     res.redirect("/admin/schools");
   } catch (err) {
     console.error("[admin/schools/delete] error:", err);
@@ -265,18 +529,741 @@ router.delete("/schools/:id", ensureAuthed, ensureAdmin, async (req, res) => {
   }
 });
 
-/* ---------- optional CSV import / other admin endpoints (placeholder) ---------- */
-/* Add your CSV import, bulk actions, etc. here. */
+/* ---------- publishing workflow ---------- */
+
+const STATUS_ACTIONS = {
+  publish: { status: "published", stamp: "publishedAt" },
+  unpublish: { status: "draft" },
+  archive: { status: "archived", stamp: "archivedAt" },
+};
+
+// POST /admin/schools/:id/publish | unpublish | archive
+router.post("/schools/:id/:action", ensureAuthed, ensureStaff, async (req, res, next) => {
+  if (!Object.hasOwn(STATUS_ACTIONS, req.params.action)) return next();
+  // checked here rather than as middleware so other POST /schools/:id/* routes still match
+  if (!res.locals.can.allSchools) return res.status(403).send("Forbidden");
+  try {
+    const { status, stamp } = STATUS_ACTIONS[req.params.action];
+    const update = { status };
+    if (stamp) update[stamp] = new Date();
+    const school = await School.findByIdAndUpdate(req.params.id, { $set: update }, { new: true });
+    if (!school) return res.status(404).send("Not found");
+    if (req.xhr || req.headers.accept?.includes("application/json")) {
+      return res.json({ ok: true, status: school.status });
+    }
+    res.redirect(req.get("referer") || "/admin/schools");
+  } catch (err) {
+    console.error(`[admin/schools/${req.params.action}] error:`, err);
+    res.status(500).send("Failed to update school status");
+  }
+});
+
+/* ---------- school document library ---------- */
+
+const DOCUMENT_TYPES = {
+  "application/pdf": ".pdf",
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+};
+
+async function renderSchoolDocuments(res, school, extra = {}) {
+  const documents = await SchoolDocument.find({ school: school._id }).sort({ sortOrder: 1, label: 1 }).lean();
+  for (const d of documents) {
+    d.url = school.slug ? documentUrl(school.slug, d.key) : null;
+    d.sizeLabel = d.size ? `${Math.ceil(d.size / 1024)} KB` : "";
+  }
+  res.render("admin/school_documents", {
+    title: `Admin · Documents · ${school.name}`,
+    school,
+    documents,
+    kinds: DOCUMENT_KINDS,
+    ...extra,
+  });
+}
+
+// List + upload form
+router.get("/schools/:id/documents", ensureAuthed, ensureStaff, ensureSchoolAccess, async (req, res) => {
+  try {
+    const school = await School.findById(req.params.id).select("name slug").lean();
+    if (!school) return res.status(404).send("Not found");
+    await renderSchoolDocuments(res, school, { msg: req.query.msg });
+  } catch (err) {
+    console.error("[admin/schools/documents] error:", err);
+    res.status(500).send("Failed to load documents");
+  }
+});
+
+// Upload. Re-using an existing key replaces that document's file (its URL stays the same).
+router.post("/schools/:id/documents", ensureAuthed, ensureStaff, ensureSchoolAccess, upload.single("file"), async (req, res) => {
+  try {
+    const school = await School.findById(req.params.id).select("name slug").lean();
+    if (!school) return res.status(404).send("Not found");
+
+    const label = String(req.body.label || "").trim();
+    const key = slugify(req.body.key || label);
+    const fail = (error) => renderSchoolDocuments(res.status(400), school, { error });
+    if (!req.file) return fail("Please choose a file to upload.");
+    if (!label || !key) return fail("Please give the document a label.");
+    if (!DOCUMENT_TYPES[req.file.mimetype]) return fail("Only PDF, Word, JPEG or PNG files can be uploaded.");
+
+    const saved = await storage.save(req.file.buffer, {
+      folder: `school-documents/${school._id}`,
+      filename: req.file.originalname,
+    });
+    const fields = {
+      label,
+      kind: DOCUMENT_KINDS.includes(req.body.kind) ? req.body.kind : "other",
+      description: String(req.body.description || "").trim(),
+      sortOrder: parseInt(req.body.sortOrder, 10) || 0,
+      filename: `${slugify(`${school.name} ${label}`) || key}${DOCUMENT_TYPES[req.file.mimetype]}`,
+      mimeType: req.file.mimetype,
+      size: saved.size,
+      storageKey: saved.key,
+      uploadedBy: { user: req.user?._id, name: req.user?.name, email: req.user?.email },
+    };
+
+    const previous = await SchoolDocument.findOneAndUpdate(
+      { school: school._id, key },
+      { $set: fields },
+      { upsert: true, runValidators: true }
+    ).lean();
+    if (previous) await storage.remove(previous.storageKey).catch(() => {});
+
+    const msg = previous ? `Replaced "${label}"` : `Uploaded "${label}"`;
+    res.redirect(`/admin/schools/${school._id}/documents?msg=${encodeURIComponent(msg)}`);
+  } catch (err) {
+    console.error("[admin/schools/documents/upload] error:", err);
+    res.status(500).send("Failed to upload document");
+  }
+});
+
+// DELETE
+router.delete("/schools/:id/documents/:docId", ensureAuthed, ensureStaff, ensureSchoolAccess, async (req, res) => {
+  try {
+    const doc = await SchoolDocument.findOneAndDelete({ _id: req.params.docId, school: req.params.id }).lean();
+    if (doc) await storage.remove(doc.storageKey).catch(() => {});
+    res.redirect(`/admin/schools/${req.params.id}/documents?msg=${encodeURIComponent("Document deleted")}`);
+  } catch (err) {
+    console.error("[admin/schools/documents/delete] error:", err);
+    res.status(500).send("Failed to delete document");
+  }
+});
+
+/* ---------- bulk import (CSV / JSON) ---------- */
+
+/** Parse an uploaded file into plain row objects plus the line number of the first row. */
+function parseImportFile(file) {
+  const filename = (file.originalname || "").toLowerCase();
+  const text = file.buffer.toString("utf-8");
+  if (filename.endsWith(".json")) {
+    const items = JSON.parse(text);
+    if (!Array.isArray(items)) throw new Error("JSON must be an array of schools");
+    return { format: "json", items, firstRow: 1 };
+  }
+  if (filename.endsWith(".csv")) {
+    const items = csvParse(text, { columns: true, skip_empty_lines: true, bom: true, trim: true });
+    return { format: "csv", items, firstRow: 2 }; // row 1 is the header
+  }
+  if (filename.endsWith(".xls") || filename.endsWith(".xml")) {
+    return { format: "xml", items: parseSpreadsheetXml(text), firstRow: 2 };
+  }
+  throw new Error("Unsupported file type. Use .json, .csv or the Excel .xls export");
+}
+
+/** Read the first worksheet of a SpreadsheetML (Excel 2003 XML) file into row objects. */
+function parseSpreadsheetXml(text) {
+  if (!/^\s*<\?xml/.test(text)) throw new Error("Only the Excel XML (.xls) format from the export can be imported; save other workbooks as CSV");
+  const root = xmlCreate(text).root().node;
+  const sheet = root.getElementsByTagNameNS("*", "Table")[0];
+  if (!sheet) throw new Error("No worksheet table found in file");
+
+  const matrix = [];
+  for (const rowEl of Array.from(sheet.getElementsByTagNameNS("*", "Row"))) {
+    const values = [];
+    for (const cell of Array.from(rowEl.getElementsByTagNameNS("*", "Cell"))) {
+      // Excel omits empty cells and marks the next one with a 1-based ss:Index
+      const idx = parseInt(cell.getAttributeNS(SS_NS, "Index"), 10);
+      if (idx > 0) while (values.length < idx - 1) values.push("");
+      values.push(String(cell.textContent || "").trim());
+    }
+    matrix.push(values);
+  }
+
+  const [header = [], ...body] = matrix;
+  return body
+    .filter((vals) => vals.some(Boolean))
+    .map((vals) => Object.fromEntries(header.map((h, i) => [h, vals[i] ?? ""]).filter(([h]) => h)));
+}
+
+/**
+ * Dry-run every row: normalize, validate against SchoolSchema and decide whether
+ * it would create or update a school (matched on { city, normalizedName }).
+ */
+async function planImportRows(items, firstRow) {
+  const rows = [];
+  const seenKeys = new Set();
+  const seenSlugs = new Set();
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i] || {};
+    // JSON exports nest facilities and registration settings; CSV has them as flat columns
+    const flat = { ...(item.facilities && typeof item.facilities === "object" ? item.facilities : {}), ...item };
+    if (item.admissions && typeof item.admissions === "object" && !("admissionsEmails" in flat)) {
+      const { admissionsEmails, admissionsContactName, admissionsPhone } = schoolFormValues(item);
+      Object.assign(flat, { admissionsEmails, admissionsContactName, admissionsPhone });
+    }
+    if (Array.isArray(item.registrationFields) && !("registrationFieldsText" in flat)) {
+      flat.registrationFieldsText = formatRegistrationFields(item.registrationFields);
+    }
+    const payload = normalizeSchoolPayload(flat, { partialFacilities: true });
+    // columns missing from the file must not clear existing values on update
+    if (!("type" in flat)) delete payload.type;
+    if (!("type2" in flat)) delete payload.type2;
+    if (!["curriculum_list", "curriculum", "curricula"].some((k) => k in flat)) delete payload.curriculum_list;
+    if (!("website" in flat)) delete payload.hasWebsite;
+    if (!("facebookUrl" in flat)) delete payload.hasFacebook;
+    const issues = [];
+
+    const validationError = new School(payload).validateSync();
+    if (validationError) {
+      issues.push(...Object.values(validationError.errors).map((e) => e.message));
+    }
+
+    let existing = null;
+    if (payload.normalizedName) {
+      const key = `${payload.city.toLowerCase()}|${payload.normalizedName}`;
+      if (seenKeys.has(key)) issues.push("Duplicate of an earlier row in this file (same name and city)");
+      seenKeys.add(key);
+      existing = await School.findOne({ city: new RegExp(`^${esc(payload.city)}$`, "i"), normalizedName: payload.normalizedName })
+        .select("_id city")
+        .lean();
+      // the apply step matches on the stored spelling ("harare" updates "Harare")
+      if (existing) payload.city = existing.city;
+    }
+    // an update without a slug keeps the school's URL instead of renaming it
+    if (existing && !String(flat.slug || "").trim()) delete payload.slug;
+
+    if (payload.slug) {
+      if (seenSlugs.has(payload.slug)) issues.push(`Slug "${payload.slug}" appears more than once in this file`);
+      seenSlugs.add(payload.slug);
+      const slugOwner = await School.findOne({ slug: payload.slug }).select("_id name").lean();
+      if (slugOwner && String(slugOwner._id) !== String(existing?._id)) {
+        issues.push(`Slug "${payload.slug}" is already used by ${slugOwner.name}`);
+      }
+    }
+
+    rows.push({
+      row: firstRow + i,
+      action: issues.length ? "reject" : existing ? "update" : "create",
+      name: payload.name,
+      city: payload.city,
+      slug: payload.slug,
+      issues,
+      payload,
+    });
+  }
+  return rows;
+}
+
+// Import page: upload form + history
+router.get("/import", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  const history = await SchoolImport.find({}).select("-rows").sort({ createdAt: -1 }).limit(20).lean();
+  res.render("admin/import", {
+    title: "Admin · Import Schools",
+    history,
+    msg: req.query.msg || null,
+    error: req.query.error || null,
+  });
+});
+
+// Upload → dry-run preview (nothing is written to School yet)
+router.post("/import", ensureAuthed, ensureStaff, ensureEditor, upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) throw new Error("No file uploaded");
+    const { format, items, firstRow } = parseImportFile(req.file);
+    if (!items.length) throw new Error("The file contains no rows");
+
+    const rows = await planImportRows(items, firstRow);
+    const counts = { create: 0, update: 0, reject: 0 };
+    for (const r of rows) counts[r.action]++;
+
+    const imp = await SchoolImport.create({
+      filename: req.file.originalname,
+      format,
+      importedBy: { user: req.user._id, name: req.user.name, email: req.user.email },
+      rows,
+      counts,
+    });
+    res.redirect(`/admin/import/${imp._id}`);
+  } catch (e) {
+    console.error("[admin/import] error:", e);
+    const history = await SchoolImport.find({}).select("-rows").sort({ createdAt: -1 }).limit(20).lean();
+    res.status(400).render("admin/import", { title: "Admin · Import Schools", history, error: e.message });
+  }
+});
+
+// Preview / history detail
+router.get("/import/:id", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  try {
+    const imp = await SchoolImport.findById(req.params.id).lean();
+    if (!imp) return res.status(404).send("Not found");
+    res.render("admin/import_preview", {
+      title: `Admin · Import ${imp.filename || ""}`,
+      imp,
+      isPreview: imp.status === "preview",
+      msg: req.query.msg || null,
+    });
+  } catch (err) {
+    console.error("[admin/import/view] error:", err);
+    res.status(500).send("Failed to load import");
+  }
+});
+
+// Apply a previewed import: upsert accepted rows on { city, normalizedName }
+router.post("/import/:id/apply", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  try {
+    const imp = await SchoolImport.findById(req.params.id);
+    if (!imp) return res.status(404).send("Not found");
+    if (imp.status !== "preview") return res.redirect(`/admin/import/${imp._id}?msg=already_${imp.status}`);
+
+    const result = { created: 0, updated: 0, failed: 0 };
+    for (const r of imp.rows) {
+      if (r.action === "reject") continue;
+      const { normalizedName, city, facilities = {}, ...rest } = r.payload || {};
+      const $set = { ...rest, lastVerifiedAt: new Date() };
+      for (const [k, v] of Object.entries(facilities)) $set[`facilities.${k}`] = v;
+      const update = { $set };
+      if (!rest.source) update.$setOnInsert = { source: "admin-import" };
+
+      try {
+        const out = await School.updateOne({ city, normalizedName }, update, { upsert: true, runValidators: true });
+        if (out.upsertedCount) result.created++;
+        else result.updated++;
+        r.applied = true;
+      } catch (e) {
+        result.failed++;
+        r.issues.push(`Not applied: ${e.message}`);
+      }
+    }
+
+    imp.status = "applied";
+    imp.appliedAt = new Date();
+    imp.result = result;
+    imp.markModified("rows");
+    await imp.save();
+
+    res.redirect(
+      `/admin/import/${imp._id}?msg=${encodeURIComponent(
+        `Import applied: ${result.created} created, ${result.updated} updated, ${result.failed} failed.`
+      )}`
+    );
+  } catch (err) {
+    console.error("[admin/import/apply] error:", err);
+    res.status(500).send("Failed to apply import");
+  }
+});
+
+// Discard a preview without touching schools
+router.post("/import/:id/discard", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  try {
+    await SchoolImport.updateOne({ _id: req.params.id, status: "preview" }, { $set: { status: "discarded" } });
+    res.redirect("/admin/import?msg=Import%20discarded");
+  } catch (err) {
+    console.error("[admin/import/discard] error:", err);
+    res.status(500).send("Failed to discard import");
+  }
+});
+
+/* ---------- placements (pinned / sponsored schools) ---------- */
+
+const PLACEMENT_PHASES = ["Pre-School", "Primary School", "High School"];
+const PLACEMENT_CURRICULA = ["Cambridge", "ZIMSEC", "IB"];
+
+const toDateInput = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+const parseDate = (v) => (v && !Number.isNaN(Date.parse(v)) ? new Date(v) : null);
+
+// documents come from a textarea, one "Label | URL" per line
+function parsePlacementDocuments(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.split("|").map((s) => s.trim()))
+    .filter(([label, url]) => label && url)
+    .map(([label, url]) => ({ label, url }));
+}
+
+function normalizePlacementPayload(body = {}) {
+  return {
+    school: body.school,
+    label: PLACEMENT_LABELS.includes(body.label) ? body.label : "Recommended",
+    cities: toArray(body.cities),
+    phases: toArray(body.phases).filter((p) => PLACEMENT_PHASES.includes(p)),
+    curricula: toArray(body.curricula).filter((c) => PLACEMENT_CURRICULA.includes(c)),
+    startsAt: parseDate(body.startsAt),
+    endsAt: parseDate(body.endsAt),
+    active: parseBool(body.active),
+    documents: parsePlacementDocuments(body.documents),
+    notes: body.notes ? String(body.notes).trim() : "",
+  };
+}
+
+// view model for admin/placement_form; selected/checked flags are precomputed for the template
+async function placementFormContext(placement = {}) {
+  const schools = await School.find({}).select("name city status").sort({ name: 1 }).lean();
+  const schoolId = placement.school ? String(placement.school) : "";
+  return {
+    placement: {
+      ...placement,
+      startsAt: toDateInput(placement.startsAt),
+      endsAt: toDateInput(placement.endsAt),
+      cities: (placement.cities || []).join(", "),
+      documents: (placement.documents || []).map((d) => `${d.label} | ${d.url}`).join("\n"),
+    },
+    schools: schools.map((s) => ({ ...s, selected: String(s._id) === schoolId })),
+    labels: PLACEMENT_LABELS.map((l) => ({ value: l, selected: l === (placement.label || "Recommended") })),
+    phases: PLACEMENT_PHASES.map((p) => ({ value: p, checked: (placement.phases || []).includes(p) })),
+    curricula: PLACEMENT_CURRICULA.map((c) => ({ value: c, checked: (placement.curricula || []).includes(c) })),
+  };
+}
+
+// List
+router.get("/placements", ensureAuthed, ensureStaff, ensureEditor, async (_req, res) => {
+  try {
+    const now = new Date();
+    const placements = await Placement.find({})
+      .sort({ active: -1, createdAt: -1 })
+      .populate("school", "name city slug status")
+      .lean();
+    for (const p of placements) {
+      p.running = p.active && (!p.startsAt || p.startsAt <= now) && (!p.endsAt || p.endsAt >= now);
+      p.startsOn = toDateInput(p.startsAt);
+      p.endsOn = toDateInput(p.endsAt);
+    }
+    res.render("admin/placements_list", { title: "Admin · Placements", placements });
+  } catch (err) {
+    console.error("[admin/placements] error:", err);
+    res.status(500).send("Failed to load placements");
+  }
+});
+
+// Create form
+router.get("/placements/new", ensureAuthed, ensureStaff, ensureEditor, async (_req, res) => {
+  try {
+    const ctx = await placementFormContext({ active: true });
+    res.render("admin/placement_form", { title: "Admin · New Placement", ...ctx, isNew: true });
+  } catch (err) {
+    console.error("[admin/placements/new] error:", err);
+    res.status(500).send("Failed to load placement form");
+  }
+});
+
+// Create submit
+router.post("/placements", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  const body = normalizePlacementPayload(req.body);
+  try {
+    await Placement.create(body);
+    res.redirect("/admin/placements");
+  } catch (err) {
+    console.error("[admin/placements/create] error:", err);
+    if (err && (err.name === "ValidationError" || err.name === "CastError")) {
+      const ctx = await placementFormContext(body);
+      return res.status(400).render("admin/placement_form", {
+        title: "Admin · New Placement",
+        ...ctx,
+        error: "Please choose a school.",
+        isNew: true,
+      });
+    }
+    res.status(500).send("Failed to create placement");
+  }
+});
+
+// Edit form
+router.get("/placements/:id/edit", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  try {
+    const placement = await Placement.findById(req.params.id).lean();
+    if (!placement) return res.status(404).send("Not found");
+    const ctx = await placementFormContext(placement);
+    res.render("admin/placement_form", { title: "Admin · Edit Placement", ...ctx, isNew: false });
+  } catch (err) {
+    console.error("[admin/placements/edit] error:", err);
+    res.status(500).send("Failed to load placement");
+  }
+});
+
+// UPDATE
+router.put("/placements/:id", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  const body = normalizePlacementPayload(req.body);
+  try {
+    await Placement.findByIdAndUpdate(req.params.id, { $set: body }, { runValidators: true });
+    res.redirect("/admin/placements");
+  } catch (err) {
+    console.error("[admin/placements/update] error:", err);
+    if (err && (err.name === "ValidationError" || err.name === "CastError")) {
+      const ctx = await placementFormContext({ ...body, _id: req.params.id });
+      return res.status(400).render("admin/placement_form", {
+        title: "Admin · Edit Placement",
+        ...ctx,
+        error: "Please choose a school.",
+        isNew: false,
+      });
+    }
+    res.status(500).send("Failed to update placement");
+  }
+});
+
+// DELETE
+router.delete("/placements/:id", ensureAuthed, ensureStaff, ensureEditor, async (req, res) => {
+  try {
+    await Placement.findByIdAndDelete(req.params.id);
+    res.redirect("/admin/placements");
+  } catch (err) {
+    console.error("[admin/placements/delete] error:", err);
+    res.status(500).send("Failed to delete placement");
+  }
+});
+
+/* ---------- registrations inbox ---------- */
+
+const actorOf = (user) => ({ user: user?._id, name: user?.name, email: user?.email });
+const fmtDate = (d) => (d ? new Date(d).toISOString().slice(0, 16).replace("T", " ") : "");
+const studentName = (r) =>
+  [r.studentFirstName, r.studentMiddleName, r.studentLastName].filter(Boolean).join(" ");
+
+// Shared by the inbox list and CSV export; registrations saved before statuses existed count as "new".
+// `scope` is from registrationScope().
+function registrationListFilter(query = {}, scope = {}) {
+  const q = String(query.q || "").trim();
+  const school = String(query.school || "").trim();
+  const status = REGISTRATION_STATUSES.includes(query.status) ? query.status : "";
+  const filter = {};
+  if (school) filter.schoolSlug = school;
+  if (status === "new") filter.status = { $in: ["new", null] };
+  else if (status) filter.status = status;
+  if (q) {
+    const rx = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    filter.$or = ["reference", "studentFirstName", "studentLastName", "fatherName", "motherName", "fatherEmail", "motherEmail", "fatherMobile", "motherMobile"].map(
+      (f) => ({ [f]: rx })
+    );
+  }
+  // the staff scope is an $or of its own, so it can't share the top level with the search
+  if (Object.keys(scope).length) filter.$and = [scope];
+  return { q, school, status, filter };
+}
+
+// List
+router.get("/registrations", ensureAuthed, ensureStaff, async (req, res) => {
+  try {
+    const scope = await registrationScope(req.user);
+    const { q, school, status, filter } = registrationListFilter(req.query, scope);
+    const [registrations, schools] = await Promise.all([
+      Registration.find(filter).sort({ submittedAt: -1 }).limit(500).lean(),
+      Registration.aggregate([
+        { $match: scope },
+        { $group: { _id: "$schoolSlug", name: { $last: "$schoolName" }, count: { $sum: 1 } } },
+        { $sort: { name: 1 } },
+      ]),
+    ]);
+    for (const r of registrations) {
+      r.status = r.status || "new";
+      r.studentName = studentName(r);
+      r.submittedLabel = fmtDate(r.submittedAt || r.createdAt);
+    }
+    res.render("admin/registrations_list", {
+      title: "Admin · Registrations",
+      registrations,
+      q,
+      status,
+      statuses: REGISTRATION_STATUSES.map((s) => ({ value: s, selected: s === status })),
+      schools: schools.map((s) => ({
+        slug: s._id || "",
+        name: s.name || s._id || "(no school)",
+        count: s.count,
+        selected: (s._id || "") === school,
+      })),
+      exportQuery: new URLSearchParams({ q, school, status }).toString(),
+    });
+  } catch (err) {
+    console.error("[admin/registrations] error:", err);
+    res.status(500).send("Failed to load registrations");
+  }
+});
+
+const REGISTRATION_EXPORT_COLUMNS = [
+  ["reference", (r) => r.reference],
+  ["submittedAt", (r) => fmtDate(r.submittedAt || r.createdAt)],
+  ["status", (r) => r.status || "new"],
+  ["schoolSlug", (r) => r.schoolSlug],
+  ["schoolName", (r) => r.schoolName],
+  ["studentFirstName", (r) => r.studentFirstName],
+  ["studentMiddleName", (r) => r.studentMiddleName],
+  ["studentLastName", (r) => r.studentLastName],
+  ["dateOfBirth", (r) => toDateInput(r.dateOfBirth)],
+  ["gender", (r) => r.gender],
+  ["currentGrade", (r) => r.currentGrade],
+  ["recommendedStage", (r) => r.recommendedStage],
+  ["languagesSpoken", (r) => r.languagesSpoken],
+  ["allergies", (r) => r.allergies],
+  ["fatherName", (r) => r.fatherName],
+  ["fatherMobile", (r) => r.fatherMobile],
+  ["fatherEmail", (r) => r.fatherEmail],
+  ["motherName", (r) => r.motherName],
+  ["motherMobile", (r) => r.motherMobile],
+  ["motherEmail", (r) => r.motherEmail],
+  ["homeAddress", (r) => r.homeAddress],
+  ["workAddress", (r) => r.workAddress],
+  ["siblings", (r) => (r.siblings || []).map((s) => [s.fullName, s.age && `age ${s.age}`].filter(Boolean).join(", ")).join("; ")],
+  [
+    "previousSchools",
+    (r) =>
+      (r.previousSchools || [])
+        .map((p) => [p.name, p.syllabus, p.stageGrade, [p.term, p.year].filter(Boolean).join(" ")].filter(Boolean).join(", "))
+        .join("; "),
+  ],
+  ["customFields", (r) => (r.customFields || []).map((f) => `${f.label}: ${f.value}`).join("; ")],
+  ["notes", (r) => (r.notes || []).map((n) => n.text).join(" | ")],
+];
+
+// GET /admin/registrations/export?q=&school=&status= (CSV)
+router.get("/registrations/export", ensureAuthed, ensureStaff, async (req, res) => {
+  try {
+    const { filter } = registrationListFilter(req.query, await registrationScope(req.user));
+    const registrations = await Registration.find(filter).sort({ submittedAt: -1 }).lean();
+    // parents type most of these, so nothing may reach Excel as a formula
+    const rows = registrations.map((r) =>
+      Object.fromEntries(REGISTRATION_EXPORT_COLUMNS.map(([col, get]) => [col, spreadsheetCell(get(r))]))
+    );
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Disposition", `attachment; filename="registrations-${stamp}.csv"`);
+    res.type("text/csv").send(csvStringify(rows, { header: true, columns: REGISTRATION_EXPORT_COLUMNS.map(([col]) => col) }));
+  } catch (err) {
+    console.error("[admin/registrations/export] error:", err);
+    res.status(500).send("Failed to export registrations");
+  }
+});
+
+// Detail
+router.get("/registrations/:id", ensureAuthed, ensureStaff, async (req, res) => {
+  try {
+    const reg = await Registration.findOne({ _id: req.params.id, ...(await registrationScope(req.user)) }).lean();
+    if (!reg) return res.status(404).send("Not found");
+    reg.status = reg.status || "new";
+    reg.studentName = studentName(reg);
+    reg.dobLabel = toDateInput(reg.dateOfBirth);
+    reg.submittedLabel = fmtDate(reg.submittedAt || reg.createdAt);
+    for (const n of reg.notes || []) n.atLabel = fmtDate(n.at);
+    for (const h of reg.statusHistory || []) h.atLabel = fmtDate(h.at);
+    for (const a of reg.attachments || []) a.sizeLabel = a.size ? `${Math.ceil(a.size / 1024)} KB` : "";
+    res.render("admin/registration_detail", {
+      title: `Admin · Registration · ${reg.studentName}`,
+      reg,
+      msg: req.query.msg,
+      statuses: REGISTRATION_STATUSES.map((s) => ({ value: s, selected: s === reg.status })),
+      // newest first reads better in the activity log
+      history: [...(reg.statusHistory || [])].reverse(),
+      notes: [...(reg.notes || [])].reverse(),
+    });
+  } catch (err) {
+    console.error("[admin/registrations/detail] error:", err);
+    res.status(500).send("Failed to load registration");
+  }
+});
+
+// Printable PDF of the submitted form
+router.get("/registrations/:id/pdf", ensureAuthed, ensureStaff, async (req, res) => {
+  try {
+    const reg = await Registration.findOne({ _id: req.params.id, ...(await registrationScope(req.user)) }).lean();
+    if (!reg) return res.status(404).send("Not found");
+    const school = reg.school ? await School.findById(reg.school).select("name indemnityText").lean() : null;
+    const pdf = await registrationPdfBuffer(reg, school);
+    res.setHeader("Content-Disposition", `attachment; filename="${registrationPdfFilename(reg)}"`);
+    res.type("application/pdf").send(Buffer.from(pdf));
+  } catch (err) {
+    console.error("[admin/registrations/pdf] error:", err);
+    res.status(500).send("Failed to render registration PDF");
+  }
+});
+
+// Uploaded supporting document (birth certificate, reports, ...)
+router.get("/registrations/:id/attachments/:attachmentId", ensureAuthed, ensureStaff, async (req, res) => {
+  try {
+    const reg = await Registration.findOne({ _id: req.params.id, ...(await registrationScope(req.user)) })
+      .select("attachments")
+      .lean();
+    const file = reg?.attachments?.find((a) => String(a._id) === req.params.attachmentId);
+    if (!file) return res.status(404).send("Not found");
+
+    const stat = await storage.stat(file.storageKey);
+    if (!stat) {
+      console.error("[admin/registrations/attachment] missing:", file.storageKey);
+      return res.status(404).send("File not found");
+    }
+
+    res.setHeader("Content-Type", file.mimeType || "application/octet-stream");
+    res.setHeader("Content-Length", stat.size);
+    const fallbackFilename = String(file.filename || "attachment").replace(/"/g, '\\"');
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fallbackFilename}"; filename*=UTF-8''${encodeURIComponent(fallbackFilename)}`
+    );
+    // personal documents: never cache
+    res.setHeader("Cache-Control", "private, no-store");
+
+    const readStream = storage.createReadStream(file.storageKey);
+    readStream.on("error", (err) => {
+      console.error("[admin/registrations/attachment] stream error:", err);
+      if (!res.headersSent) res.status(500).send("Failed to send file");
+    });
+    readStream.pipe(res);
+  } catch (err) {
+    console.error("[admin/registrations/attachment] error:", err);
+    res.status(500).send("Failed to download attachment");
+  }
+});
+
+// Status change
+router.post("/registrations/:id/status", ensureAuthed, ensureStaff, async (req, res) => {
+  try {
+    const status = req.body.status;
+    if (!REGISTRATION_STATUSES.includes(status)) return res.status(400).send("Unknown status");
+    const reg = await Registration.findOneAndUpdate({ _id: req.params.id, ...(await registrationScope(req.user)) }, {
+      $set: { status },
+      $push: { statusHistory: { status, at: new Date(), by: actorOf(req.user) } },
+    });
+    if (!reg) return res.status(404).send("Not found");
+    res.redirect(`/admin/registrations/${req.params.id}?msg=${encodeURIComponent(`Status set to ${status}`)}`);
+  } catch (err) {
+    console.error("[admin/registrations/status] error:", err);
+    res.status(500).send("Failed to update registration status");
+  }
+});
+
+// Add note
+router.post("/registrations/:id/notes", ensureAuthed, ensureStaff, async (req, res) => {
+  try {
+    const text = String(req.body.text || "").trim();
+    if (!text) return res.redirect(`/admin/registrations/${req.params.id}`);
+    const reg = await Registration.findOneAndUpdate({ _id: req.params.id, ...(await registrationScope(req.user)) }, {
+      $push: { notes: { text, at: new Date(), by: actorOf(req.user) } },
+    });
+    if (!reg) return res.status(404).send("Not found");
+    res.redirect(`/admin/registrations/${req.params.id}?msg=${encodeURIComponent("Note added")}`);
+  } catch (err) {
+    console.error("[admin/registrations/notes] error:", err);
+    res.status(500).send("Failed to add note");
+  }
+});
 
 /* ---------- small debug/test routes (remove in prod) ---------- */
 
 // quick test that normalize works (POST JSON/form→returns normalized payload)
-router.post("/_debug_norm", ensureAuthed, ensureAdmin, (req, res) => {
+router.post("/_debug_norm", ensureAuthed, ensureStaff, ensureSuperadmin, (req, res) => {
   res.json({ normalized: normalizeSchoolPayload(req.body) });
 });
 
 // small route to confirm /admin base mounting (GET /admin/test)
-router.get("/test", ensureAuthed, ensureAdmin, (_req, res) => {
+router.get("/test", ensureAuthed, ensureStaff, ensureSuperadmin, (_req, res) => {
   res.send("admin base works");
 });
 
@@ -1,52 +1,46 @@
 import { Router } from "express";
-import School from "../models/school.js";
+import mongoose from "mongoose";
+import School, { PUBLISHED_FILTER } from "../models/school.js";
+import User from "../models/user.js";
+import {
+  rxContains,
+  buildCriteria,
+  buildSchoolConditions,
+  combineAnd,
+  relaxationOrder,
+  scoreSchool,
+} from "../lib/recommend.js";
+import { findPlacements, placementSummary } from "../lib/placements.js";
+import { documentLinksBySchool } from "../lib/documents.js";
+import { isInternalRequest } from "../lib/formGuard.js";
+import { addFavourite, listFavourites, removeFavourite } from "../lib/favourites.js";
+import { COMPARE_MIN, COMPARE_MAX, parseCompareSlugs, buildComparison } from "../lib/compare.js";
+import { prefsFromSearch } from "../lib/lastPrefs.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const router = Router();
 
-/* ---------------- helpers ---------------- */
-const esc = (s = "") => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-
-// case-insensitive "contains" and tolerant to extra whitespace
-const rxContains = (s) =>
-  new RegExp(esc(String(s).trim()).replace(/\s+/g, "\\s+"), "i");
-
-// normalize any value to array
-const toArray = (v) =>
-  Array.isArray(v)
-    ? v
-    : typeof v === "string" && v
-    ? v.split(",").map((s) => s.trim()).filter(Boolean)
-    : [];
-
-// synonyms (for messy data)
-const CURR_SYNONYMS = {
-  Cambridge: ["cambridge", "caie", "cie"],
-  ZIMSEC: ["zimsec"],
-  IB: ["ib", "international baccalaureate"],
-};
-
-const PHASE_SYNONYMS = {
-  "Pre-School": ["pre-school", "preschool", "early years", "ece"],
-  "Primary School": ["primary school", "primary", "junior"],
-  "High School": ["high school", "secondary", "senior"],
-};
-
-const TYPE2_DAY = ["day", "day & boarding", "day and boarding"];
-const TYPE2_BOARDING = ["boarding", "day & boarding", "day and boarding"];
-
-const makeContainsRegexes = (values, dict = null) => {
-  const regs = [];
-  for (const raw of values) {
-    const val = String(raw).trim();
-    const syns = dict ? (dict[val] || [val]) : [val];
-    const uniq = new Set([val, ...syns]);
-    for (const s of uniq) regs.push(rxContains(s));
-  }
-  return regs;
-};
+// Fields safe to expose publicly (tier is an internal fee proxy)
+const PUBLIC_SCHOOL_FIELDS =
+  "name slug city type type2 gender curriculum_list address contact learningEnvironment facilities website facebookUrl hasWebsite hasFacebook updatedAt";
+
+// per-IP; the WhatsApp bot shares the server's IP so it is exempt
+const recommendLimit = rateLimit({
+  name: "recommend-ip",
+  windowMs: 60 * 1000,
+  max: 30,
+  skip: isInternalRequest,
+  message: "Too many searches — please wait a minute and try again.",
+});
+
+// what scoreSchool and the recommendation list read from a candidate
+const CANDIDATE_FIELDS =
+  "name slug city curriculum_list type type2 learningEnvironment facilities website facebookUrl logo heroImage";
+// well above the schools in any one city; only a catch-all search gets near it
+const MAX_CANDIDATES = 2000;
 
 /* ---------------- route ---------------- */
-router.post("/recommend", async (req, res) => {
+router.post("/recommend", recommendLimit, async (req, res) => {
   try {
     const {
       city = "Harare",
@@ -55,198 +49,69 @@ router.post("/recommend", async (req, res) => {
       type,
       type2,
       facilities,
+      priorities, // { curriculum: "must" | "nice", "facilities.swimmingPool": "nice", ... }
     } = req.body || {};
 
-    // Build as a list of AND conditions, then combine
-    const and = [];
-
-    if (city) and.push({ city: { $regex: rxContains(city) } });
-
-    if (learningEnvironment) {
-      and.push({ learningEnvironment: { $regex: rxContains(learningEnvironment) } });
-    }
-
-    const cur = toArray(curriculum);
-    if (cur.length) {
-      const regs = makeContainsRegexes(cur, CURR_SYNONYMS);
-      and.push({ curriculum_list: { $in: regs } });
-    }
+    const criteria = buildCriteria({ learningEnvironment, curriculum, type, type2, facilities, priorities });
 
-    const phases = toArray(type);
-    if (phases.length) {
-      const regs = makeContainsRegexes(phases, PHASE_SYNONYMS);
-      and.push({ type: { $in: regs } });
-    }
-
-    const boardingType = toArray(type2);
-    if (boardingType.length) {
-      const wantDay = boardingType.some((v) => /day/i.test(v));
-      const wantBoarding = boardingType.some((v) => /boarding/i.test(v));
-
-      if (wantDay && wantBoarding) {
-        // both selected → no filter (means "any")
-      } else if (wantBoarding) {
-        const regs = makeContainsRegexes(TYPE2_BOARDING);
-        and.push({
-          $or: [{ type2: { $in: regs } }, { "facilities.boarding": true }],
-        });
-      } else if (wantDay) {
-        const regs = makeContainsRegexes(TYPE2_DAY);
-        and.push({
-          $or: [{ type2: { $in: regs } }, { "facilities.boarding": { $ne: true } }],
-        });
-      }
-    }
-
-    if (Array.isArray(facilities) && facilities.length) {
-      for (const f of facilities) and.push({ [`facilities.${f}`]: true });
-    }
-
-    const filter = and.length ? (and.length === 1 ? and[0] : { $and: and }) : {};
-
-    if (process.env.DEBUG_RECO === "1") {
-      console.log("recommend.filter =", JSON.stringify(filter, null, 2));
+    // remember the search for signed-in users; never holds up the results
+    if (req.user?._id) {
+      User.updateOne({ _id: req.user._id }, { $set: { lastPrefs: prefsFromSearch(req.body) } }).catch((err) =>
+        console.error("recommend: saving lastPrefs failed:", err)
+      );
     }
 
     /* ---------- fetch matching docs ---------- */
-    let docs = await School.find(filter).sort({ tier: 1, name: 1 }).limit(100).lean();
-
-    /* ---------- CONDITIONAL PINNING ---------- */
-    const selectedZimsec = toArray(curriculum).some((v) => /zimsec/i.test(v));
-    const selectedHighSchool = toArray(type).some((v) =>
-      /high\s*school|secondary|senior/i.test(v)
-    );
-    const selectedBoarding = toArray(type2).some((v) => /boarding/i.test(v));
-
-    // Force pinning for all recommend requests (your current behaviour)
-    const shouldPin = true;
-
-    const PINNED = (process.env.PINNED_SCHOOLS || "St Eurit International School")
-      .split(/[|,]/)
-      .map((s) => s.trim().toLowerCase())
-      .filter(Boolean);
-
-    const isPinnedDoc = (d) => {
-      const name = String(d.name || "").toLowerCase().replace(/\s+/g, " ").trim();
-      const slug = String(d.slug || "").toLowerCase().trim();
-      const norm = String(d.normalizedName || "").toLowerCase().trim();
-      return PINNED.includes(name) || PINNED.includes(slug) || PINNED.includes(norm);
+    const findCandidates = async (active) => {
+      const filter = combineAnd(buildSchoolConditions({ city }, active));
+      if (process.env.DEBUG_RECO === "1") {
+        console.log("recommend.filter =", JSON.stringify(filter, null, 2));
+      }
+      // every match is scored; the list is cut to size after sorting by score
+      const found = await School.find(filter)
+        .select(CANDIDATE_FIELDS)
+        .sort({ tier: 1, name: 1 })
+        .limit(MAX_CANDIDATES)
+        .lean();
+      if (found.length === MAX_CANDIDATES) console.warn(`recommend: candidates capped at ${MAX_CANDIDATES} for city "${city}"`);
+      return found;
     };
 
-    if (shouldPin && !docs.some(isPinnedDoc)) {
-      const cityRegex = city ? { $regex: rxContains(city) } : undefined;
-      const pinnedNameRegs = PINNED.map((p) => new RegExp(`^${esc(p)}$`, "i"));
-
-      const pinnedDoc = await School.findOne({
-        ...(city ? { city: cityRegex } : {}),
-        $or: [{ name: { $in: pinnedNameRegs } }, { slug: { $in: PINNED } }, { normalizedName: { $in: PINNED } }],
-      }).lean();
-
-      if (pinnedDoc) {
-        docs.unshift(pinnedDoc);
-      } else {
-        if (process.env.DEBUG_RECO === "1") {
-          console.log("DEBUG_RECO: No pinnedDoc found for PINNED:", PINNED);
-        }
+    let docs = await findCandidates(criteria);
+
+    /* ---------- soft-filter fallback ---------- */
+    // Nothing matched every must-have: drop the lowest-priority ones one at a
+    // time until something comes back. Scoring still uses the full request.
+    const relaxed = [];
+    if (!docs.length) {
+      for (const c of relaxationOrder(criteria)) {
+        relaxed.push(c);
+        const active = criteria.map((x) => (relaxed.includes(x) ? { ...x, mustHave: false } : x));
+        docs = await findCandidates(active);
+        if (docs.length) break;
       }
     }
 
-    /* ---------- pinnedSchool object (stable, separate) ---------- */
-    let pinnedSchool = null;
+    /* ---------- placements (admin-managed pinning) ---------- */
+    let placements = [];
     try {
-      if (PINNED.length) {
-        const pinnedQueryOr = [];
-        for (const p of PINNED) {
-          // try slug, normalizedName and exact name match
-          pinnedQueryOr.push({ slug: p });
-          pinnedQueryOr.push({ normalizedName: p });
-          pinnedQueryOr.push({ name: new RegExp(`^${esc(p)}$`, "i") });
-        }
-        if (pinnedQueryOr.length) {
-          const pinnedDoc = await School.findOne({ $or: pinnedQueryOr }).select("name slug").lean();
-          if (pinnedDoc) {
-            pinnedSchool = {
-              id: pinnedDoc._id,
-              name: pinnedDoc.name,
-              slug: pinnedDoc.slug,
-              registerUrl: pinnedDoc.slug ? `/register/${encodeURIComponent(pinnedDoc.slug)}` : undefined,
-              downloads: {
-                registration: "/download/st-eurit-registration",
-                profile: "/download/st-eurit-profile",
-              },
-            };
-          }
-        }
-      }
+      placements = await findPlacements({ city, type, curriculum });
     } catch (e) {
-      console.warn("pinnedSchool lookup failed:", e && e.message ? e.message : e);
-      pinnedSchool = null;
+      console.warn("placement lookup failed:", e && e.message ? e.message : e);
     }
+    const placementBySchool = new Map(placements.map((p) => [String(p.school._id), placementSummary(p)]));
 
-    /* ---------- scoring + reasons ---------- */
-    const recommendations = docs.map((d) => {
-      const reasons = [];
-      const phases = toArray(type);
-      const boardingType = toArray(type2);
-      const cur = toArray(curriculum);
-
-      if (learningEnvironment && rxContains(learningEnvironment).test(d.learningEnvironment || ""))
-        reasons.push(`${d.learningEnvironment} learning environment`);
-
-      if (phases.length && (d.type || []).some((x) => makeContainsRegexes(phases, PHASE_SYNONYMS).some((r) => r.test(x))))
-        reasons.push((d.type || []).join(" & "));
-
-      if (boardingType.length) {
-        const wantDay = boardingType.some((v) => /day/i.test(v));
-        const wantBoarding = boardingType.some((v) => /boarding/i.test(v));
-        const dayHit =
-          (d.type2 || []).some((x) => makeContainsRegexes(TYPE2_DAY).some((r) => r.test(x))) ||
-          d.facilities?.boarding !== true;
-        const boardingHit =
-          (d.type2 || []).some((x) => makeContainsRegexes(TYPE2_BOARDING).some((r) => r.test(x))) ||
-          d.facilities?.boarding === true;
-
-        if (wantDay && dayHit) reasons.push("Day");
-        if (wantBoarding && boardingHit) reasons.push("Boarding");
-      }
-
-      if (cur.length && (d.curriculum_list || []).some((x) => makeContainsRegexes(cur, CURR_SYNONYMS).some((r) => r.test(x))))
-        reasons.push((d.curriculum_list || []).join(", "));
-
-      if (Array.isArray(facilities) && facilities.length) {
-        const have = facilities.filter((f) => d.facilities?.[f]);
-        if (have.length) reasons.push(`Facilities: ${have.join(", ")}`);
-      }
-
-      let matched = 0;
-      if (learningEnvironment && rxContains(learningEnvironment).test(d.learningEnvironment || "")) matched++;
-      if (phases.length && (d.type || []).some((x) => makeContainsRegexes(phases, PHASE_SYNONYMS).some((r) => r.test(x)))) matched++;
-      if (boardingType.length) {
-        const wantDay = boardingType.some((v) => /day/i.test(v));
-        const wantBoarding = boardingType.some((v) => /boarding/i.test(v));
-        const dayHit =
-          (d.type2 || []).some((x) => makeContainsRegexes(TYPE2_DAY).some((r) => r.test(x))) ||
-          d.facilities?.boarding !== true;
-        const boardingHit =
-          (d.type2 || []).some((x) => makeContainsRegexes(TYPE2_BOARDING).some((r) => r.test(x))) ||
-          d.facilities?.boarding === true;
-        if (wantDay && dayHit) matched++;
-        if (wantBoarding && boardingHit) matched++;
-      }
-      if (cur.length && (d.curriculum_list || []).some((x) => makeContainsRegexes(cur, CURR_SYNONYMS).some((r) => r.test(x)))) matched++;
-      if (Array.isArray(facilities) && facilities.length && facilities.every((f) => d.facilities?.[f])) matched++;
-
-      const denom =
-        (learningEnvironment ? 1 : 0) +
-        (phases.length ? 1 : 0) +
-        (boardingType.length ? (boardingType.length > 1 ? 2 : 1) : 0) +
-        (cur.length ? 1 : 0) +
-        (facilities?.length ? 1 : 0);
+    // pinned schools are shown even when they miss the filters
+    for (const p of [...placements].reverse()) {
+      if (!docs.some((d) => String(d._id) === String(p.school._id))) docs.unshift(p.school);
+    }
 
-      const match = denom ? (matched / denom) * 100 : 100;
+    const pinnedSchool = placements.length ? placementSummary(placements[0]) : null;
 
-      // Ensure pinned detection is explicit & stable
-      const pinnedFlag = isPinnedDoc(d) && shouldPin;
+    /* ---------- weighted scoring + reasons ---------- */
+    const recommendations = docs.map((d) => {
+      const { match, breakdown, reason, misses } = scoreSchool(d, criteria);
+      const placement = placementBySchool.get(String(d._id));
 
       return {
         id: d._id,
@@ -260,38 +125,174 @@ router.post("/recommend", async (req, res) => {
         website: d.website,
         facebook: d.facebookUrl,
         match,
-        reason: reasons.join(" · "),
+        breakdown,
+        reason,
+        misses,
         logo: d.logo,
         heroImage: d.heroImage,
-        _pinned: isPinnedDoc(d),
-        pinned: pinnedFlag,
+        pinned: !!placement,
+        placementLabel: placement?.label,
+        documents: placement?.documents,
         // Only expose registerUrl for pinned docs
-        registerUrl: pinnedFlag && d.slug ? `/register/${encodeURIComponent(d.slug)}` : undefined,
+        registerUrl: placement?.registerUrl,
       };
     });
 
     // Sort: pinned first, then highest match, then name
     recommendations.sort((a, b) => {
-      const aPinned = a._pinned && (a.pinned === true);
-      const bPinned = b._pinned && (b.pinned === true);
-      if (aPinned && !bPinned) return -1;
-      if (!aPinned && bPinned) return 1;
+      if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
       if (b.match !== a.match) return b.match - a.match;
       return (a.name || "").localeCompare(b.name || "");
     });
 
-    const clean = recommendations.map(({ _pinned, ...rest }) => rest);
+    const clean = recommendations.slice(0, 100);
+
+    /* ---------- school document libraries ---------- */
+    // placement documents first, then the school's own uploads
+    const listed = [...clean, ...(pinnedSchool ? [pinnedSchool] : [])];
+    const links = await documentLinksBySchool(listed.map((r) => ({ _id: r.id, slug: r.slug })));
+    const mergeDocs = (own = [], extra = []) => {
+      const urls = new Set(own.map((d) => d.url));
+      return [...own, ...extra.filter((d) => !urls.has(d.url))];
+    };
+    for (const r of listed) {
+      r.documents = mergeDocs(r.documents, links.get(String(r.id)));
+    }
 
     if (process.env.DEBUG_RECO === "1") {
       console.log("DEBUG_RECO: final recommendations (clean):", JSON.stringify(clean, null, 2));
       console.log("DEBUG_RECO: pinnedSchool:", JSON.stringify(pinnedSchool, null, 2));
     }
 
-    return res.json({ recommendations: clean, pinnedSchool });
+    return res.json({
+      recommendations: clean,
+      pinnedSchool,
+      relaxed: relaxed.length > 0,
+      relaxedCriteria: relaxed.map((c) => ({ key: c.key, label: c.label })),
+    });
   } catch (err) {
     console.error("recommend route error:", err);
     res.status(500).send("recommend failed");
   }
 });
 
+/* ---------------- read-only school API ---------------- */
+
+// GET /api/school-by-slug/:slug → { school }
+router.get("/school-by-slug/:slug", async (req, res) => {
+  try {
+    const school = await School.findOne({ slug: String(req.params.slug).trim(), ...PUBLISHED_FILTER })
+      .select(PUBLIC_SCHOOL_FIELDS)
+      .lean();
+    if (!school) return res.status(404).json({ error: "School not found" });
+    res.json({ school });
+  } catch (err) {
+    console.error("school-by-slug error:", err);
+    res.status(500).json({ error: "lookup failed" });
+  }
+});
+
+// GET /api/schools/:idOrSlug → { school }
+router.get("/schools/:idOrSlug", async (req, res) => {
+  try {
+    const key = String(req.params.idOrSlug).trim();
+    const match = mongoose.isValidObjectId(key) ? { _id: key } : { slug: key };
+    const school = await School.findOne({ ...match, ...PUBLISHED_FILTER })
+      .select(PUBLIC_SCHOOL_FIELDS)
+      .lean();
+    if (!school) return res.status(404).json({ error: "School not found" });
+    res.json({ school });
+  } catch (err) {
+    console.error("school lookup error:", err);
+    res.status(500).json({ error: "lookup failed" });
+  }
+});
+
+// GET /api/schools?city=&curriculum=&type=&type2=&learningEnvironment=&facilities=&q=&page=&limit=
+router.get("/schools", async (req, res) => {
+  try {
+    const { city, learningEnvironment, curriculum, type, type2, facilities, q } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const and = buildSchoolConditions({ city, learningEnvironment, curriculum, type, type2, facilities });
+    if (q && String(q).trim()) and.push({ name: { $regex: rxContains(q) } });
+    const filter = combineAnd(and);
+
+    const [schools, total] = await Promise.all([
+      School.find(filter)
+        .select(PUBLIC_SCHOOL_FIELDS)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      School.countDocuments(filter),
+    ]);
+
+    res.json({ schools, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error("schools list error:", err);
+    res.status(500).json({ error: "list failed" });
+  }
+});
+
+// GET /api/compare?slugs=a,b,c → { schools, missing, overview, facilityGroups }
+router.get("/compare", async (req, res) => {
+  try {
+    const slugs = parseCompareSlugs(req.query.slugs);
+    if (slugs.length < COMPARE_MIN) {
+      return res.status(400).json({ error: `Pass ${COMPARE_MIN}–${COMPARE_MAX} school slugs, e.g. ?slugs=a,b` });
+    }
+    const comparison = await buildComparison(slugs);
+    if (comparison.schools.length < COMPARE_MIN) {
+      return res.status(404).json({ error: "Not enough schools found to compare", missing: comparison.missing });
+    }
+    res.json(comparison);
+  } catch (err) {
+    console.error("compare error:", err);
+    res.status(500).json({ error: "compare failed" });
+  }
+});
+
+/* ---------------- favourites (signed-in users) ---------------- */
+
+function requireUser(req, res, next) {
+  if (req.isAuthenticated && req.isAuthenticated() && req.user?._id) return next();
+  res.status(401).json({ error: "Sign in to save favourites" });
+}
+
+// GET /api/favourites → { favourites: [{ id, name, slug, city, ... }] }
+router.get("/favourites", requireUser, async (req, res) => {
+  try {
+    res.json({ favourites: await listFavourites(User, req.user._id) });
+  } catch (err) {
+    console.error("favourites list error:", err);
+    res.status(500).json({ error: "list failed" });
+  }
+});
+
+// POST /api/favourites { school: <id or slug> } → { favourite }
+router.post("/favourites", requireUser, async (req, res) => {
+  try {
+    const { school, error } = await addFavourite(User, req.user._id, req.body?.school);
+    if (error) return res.status(error === "School not found" ? 404 : 409).json({ error });
+    res.status(201).json({ favourite: school });
+  } catch (err) {
+    console.error("favourites add error:", err);
+    res.status(500).json({ error: "add failed" });
+  }
+});
+
+// DELETE /api/favourites/:idOrSlug → { removed }
+router.delete("/favourites/:idOrSlug", requireUser, async (req, res) => {
+  try {
+    const removed = await removeFavourite(User, req.user._id, req.params.idOrSlug);
+    if (!removed) return res.status(404).json({ error: "Not in favourites" });
+    res.json({ removed });
+  } catch (err) {
+    console.error("favourites remove error:", err);
+    res.status(500).json({ error: "remove failed" });
+  }
+});
+
 export default router;
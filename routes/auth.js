@@ -1,9 +1,36 @@
 // routes/auth.js
 import { Router } from "express";
 import passport from "passport";
+import { body, validationResult } from "express-validator";
+import { isProviderConfigured, isLinkingIdentity } from "../config/passport.js";
+import { normalizeEmail } from "../models/user.js";
+import { EMAIL_LINK_TTL_MS, sendEmailLoginLink, verifyEmailLoginToken } from "../lib/emailLink.js";
+import { OTP_TTL_MS, otpPhone, sendOtp } from "../lib/whatsappOtp.js";
+import { HONEYPOT_FIELD, issueFormToken, checkFormGuard } from "../lib/formGuard.js";
+import { rateLimit, hitRateLimit } from "../middleware/rateLimit.js";
 
 const router = Router();
 
+const EMAIL_FORM_PURPOSE = "signin-email";
+const OTP_FORM_PURPOSE = "signin-whatsapp";
+
+// Same-site paths only, so ?returnTo= can't bounce people to another domain;
+// null for anything else, including the sign-in pages themselves
+function safeReturnTo(req, value) {
+  let path = null;
+  const v = String(value || "");
+  if (v.startsWith("/") && !v.startsWith("//")) path = v;
+  else {
+    try {
+      const url = new URL(v);
+      if (url.host === req.get("host")) path = url.pathname + url.search;
+    } catch {
+      // not a URL
+    }
+  }
+  return path && !path.startsWith("/auth/") ? path : null;
+}
+
 function isFacebookInApp(req) {
   const ua = String(req.get("user-agent") || "").toLowerCase();
   const ref = String(req.get("referer") || "").toLowerCase();
@@ -22,11 +49,13 @@ function isFacebookInApp(req) {
 /**
  * GET /signin
  * - optional query: ?returnTo=/some/path
- * - decides which provider to use and redirects to /auth/facebook or /auth/google
+ * - Facebook/Instagram in-app browsers go straight to Facebook; everyone else
+ *   picks Google, Facebook, a WhatsApp code or an emailed sign-in link
  */
-router.get("/signin", (req, res, next) => {
-  // Save returnTo in session (prefer explicit query, then referer, then root)
-  const returnTo = req.query.returnTo || req.get("referer") || req.session?.returnTo || "/";
+router.get("/signin", (req, res) => {
+  // Save returnTo in session (prefer explicit query, then an earlier one, then referer, then root)
+  const returnTo =
+    safeReturnTo(req, req.query.returnTo) || req.session?.returnTo || safeReturnTo(req, req.get("referer")) || "/";
   if (req.session) req.session.returnTo = returnTo;
 
   // if already authenticated, just redirect back
@@ -34,43 +63,179 @@ router.get("/signin", (req, res, next) => {
     return res.redirect(returnTo);
   }
 
-  const useFacebook = isFacebookInApp(req);
-  const facebookConfigured = !!(process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET && process.env.FACEBOOK_CALLBACK_URL);
-  const googleConfigured = !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_CALLBACK_URL);
-
-  if (useFacebook && facebookConfigured) {
+  if (isFacebookInApp(req) && isProviderConfigured("facebook")) {
     // start facebook oauth
     return res.redirect("/auth/facebook");
   }
 
-  // If facebook detection but facebook not configured, prefer google if configured
-  if (useFacebook && !facebookConfigured && googleConfigured) {
-    return res.redirect("/auth/google");
-  }
+  renderSignin(req, res);
+});
 
-  // Not facebook in-app (or facebook not detected) -> prefer Google if available
-  if (googleConfigured) {
-    return res.redirect("/auth/google");
+function renderSignin(req, res, extra = {}) {
+  // failures from the strategies (e.g. a used email link) arrive as session messages
+  const error = req.session?.messages?.length ? req.session.messages.pop() : null;
+  if (error) delete req.session.messages;
+  res.render("signin", {
+    title: "Sign in",
+    canonicalPath: "/auth/signin",
+    google: isProviderConfigured("google"),
+    facebook: isProviderConfigured("facebook"),
+    whatsapp: isProviderConfigured("whatsapp"),
+    hasOAuth: isProviderConfigured("google") || isProviderConfigured("facebook"),
+    hasOtherOptions: ["google", "facebook", "whatsapp"].some(isProviderConfigured),
+    formToken: issueFormToken(EMAIL_FORM_PURPOSE),
+    otpFormToken: issueFormToken(OTP_FORM_PURPOSE),
+    honeypotField: HONEYPOT_FIELD,
+    minutes: Math.round(EMAIL_LINK_TTL_MS / 60000),
+    error,
+    ...extra,
+  });
+}
+
+/* ----- Email magic link ----- */
+
+const emailIpLimit = rateLimit({
+  name: "signin-email-ip",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: "Too many sign-in emails requested — please try again in a few minutes.",
+});
+
+// POST /auth/email { email } — send a one-time sign-in link
+router.post("/email", emailIpLimit, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    const check = { body: { email } };
+    await body("email").isEmail().withMessage("Enter a valid email address").run(check);
+    const [invalid] = validationResult(check).array();
+    if (invalid) return renderSignin(req, res, { email, emailError: invalid.msg });
+
+    const rejected = checkFormGuard(req, EMAIL_FORM_PURPOSE, { minAgeMs: 1000 });
+    if (rejected) {
+      console.warn(`[auth:email] rejected (${rejected}) from ${req.ip}`);
+      return renderSignin(req, res, { email, emailError: "Please try again." });
+    }
+
+    // per address as well, so one inbox can't be flooded from many IPs
+    const { limited } = await hitRateLimit("signin-email-address", email, { windowMs: 60 * 60 * 1000, max: 5 });
+    if (!limited) {
+      await sendEmailLoginLink(email);
+    } else {
+      console.warn(`[auth:email] address limit reached for ${email}`);
+    }
+
+    // same answer either way, so the form can't be used to probe addresses
+    renderSignin(req, res, { sentTo: email });
+  } catch (err) {
+    console.error("[auth:email] error:", err);
+    res.status(500).send("Failed to send sign-in link");
   }
+});
 
-  // If neither provider configured, render a simple chooser page (helpful for dev)
-  if (!facebookConfigured && !googleConfigured) {
-    return res.send(`
-      <h2>Sign in</h2>
-      <p>No OAuth providers are configured on this server.</p>
-      <p>Set FACEBOOK_APP_ID/SECRET/CALLBACK_URL or GOOGLE_CLIENT_ID/SECRET/CALLBACK_URL in your environment.</p>
-    `);
+// GET — mail scanners open links too, so a click only shows a confirm button
+router.get("/email/callback", (req, res) => {
+  const token = String(req.query.token || "");
+  const checked = verifyEmailLoginToken(token);
+  res.render("signin_confirm", {
+    title: "Sign in",
+    token,
+    valid: !!checked,
+    email: checked?.email,
+    // signed in and this isn't the address they're connecting: continuing switches accounts
+    currentAccount: req.user && checked && !isLinkingIdentity(req, "email", checked.email) ? req.user.email || req.user.name || "another account" : null,
+  });
+});
+
+router.post(
+  "/email/callback",
+  (req, res, next) =>
+    passport.authenticate("email-link", {
+      failureRedirect: req.user ? "/me/account" : "/auth/signin",
+      failureMessage: true,
+    })(req, res, next),
+  (req, res) => {
+    const redirectTo = req.session?.returnTo || "/recommend";
+    if (req.session) delete req.session.returnTo;
+    res.redirect(redirectTo);
   }
+);
 
-  // fallback: if google not configured but facebook is, use facebook
-  if (!googleConfigured && facebookConfigured) {
-    return res.redirect("/auth/facebook");
+/* ----- WhatsApp one-time code ----- */
+const otpIpLimit = rateLimit({
+  name: "signin-otp-ip",
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: "Too many sign-in attempts — please try again in a few minutes.",
+});
+
+// POST /auth/whatsapp { phone } — send a sign-in code on WhatsApp
+router.post("/whatsapp", otpIpLimit, async (req, res) => {
+  try {
+    if (!isProviderConfigured("whatsapp")) return res.status(404).send("WhatsApp sign-in is not available");
+    const phoneInput = String(req.body?.phone || "").trim().slice(0, 30);
+    const phone = otpPhone(phoneInput);
+    if (!phone) {
+      return renderSignin(req, res, { phoneInput, phoneError: "Enter your WhatsApp number with the country code, e.g. +263 77 123 4567" });
+    }
+
+    const rejected = checkFormGuard(req, OTP_FORM_PURPOSE, { minAgeMs: 1000 });
+    if (rejected) {
+      console.warn(`[auth:whatsapp] rejected (${rejected}) from ${req.ip}`);
+      return renderSignin(req, res, { phoneInput, phoneError: "Please try again." });
+    }
+
+    let sent;
+    try {
+      sent = await sendOtp(phone);
+    } catch (err) {
+      console.error("[auth:whatsapp] send failed:", err?.message || err);
+      return renderSignin(req, res, { phoneInput, phoneError: "We couldn't send a WhatsApp message to that number. Check it and try again." });
+    }
+    if (sent.error) return renderSignin(req, res, { phoneInput, phoneError: sent.error });
+    renderSignin(req, res, { otpPhone: phone, otpPhoneLabel: `+${phone}`, otpMinutes: Math.round(OTP_TTL_MS / 60000) });
+  } catch (err) {
+    console.error("[auth:whatsapp] error:", err);
+    res.status(500).send("Failed to send WhatsApp code");
   }
+});
 
-  // final fallback redirect to google
-  return res.redirect("/auth/google");
+// POST /auth/whatsapp/verify { phone, code } — wrong codes re-show the code form
+router.post("/whatsapp/verify", otpIpLimit, (req, res) => {
+  const phone = otpPhone(req.body?.phone);
+  passport.authenticate("whatsapp-otp", (err, user, info) => {
+    if (err) {
+      console.error("[auth:whatsapp:verify] error:", err);
+      return res.status(500).send("Failed to sign in");
+    }
+    if (!user) {
+      if (!phone) return renderSignin(req, res, { phoneError: info?.message });
+      return renderSignin(req, res, {
+        otpPhone: phone,
+        otpPhoneLabel: `+${phone}`,
+        otpMinutes: Math.round(OTP_TTL_MS / 60000),
+        codeError: info?.message || "That code isn't right.",
+      });
+    }
+    req.logIn(user, (loginErr) => {
+      if (loginErr) {
+        console.error("[auth:whatsapp:verify] login error:", loginErr);
+        return res.status(500).send("Failed to sign in");
+      }
+      const redirectTo = req.session?.returnTo || "/recommend";
+      if (req.session) delete req.session.returnTo;
+      res.redirect(redirectTo);
+    });
+  })(req, res);
 });
 
+// Signed-in users come back here after connecting another provider from
+// /me/account; failures go back to that page with the strategy's message.
+const oauthCallback = (provider) => (req, res, next) =>
+  passport.authenticate(provider, {
+    failureRedirect: req.user ? "/me/account" : "/auth/signin",
+    failureMessage: true,
+  })(req, res, next);
+
 /* ----- Google ----- */
 router.get(
   "/google",
@@ -79,7 +244,7 @@ router.get(
 
 router.get(
   "/google/callback",
-  passport.authenticate("google", { failureRedirect: "/" }),
+  oauthCallback("google"),
   (req, res) => {
     const redirectTo = req.session?.returnTo || "/recommend";
     if (req.session) delete req.session.returnTo;
@@ -94,7 +259,7 @@ router.get("/facebook", passport.authenticate("facebook", { scope: ["public_prof
 // Facebook callback URL
 router.get(
   "/facebook/callback",
-  passport.authenticate("facebook", { failureRedirect: "/" }),
+  oauthCallback("facebook"),
   (req, res) => {
     const redirectTo = req.session?.returnTo || "/recommend";
     if (req.session) delete req.session.returnTo;
@@ -0,0 +1,35 @@
+// routes/compare.js
+import { Router } from "express";
+import { COMPARE_MIN, COMPARE_MAX, parseCompareSlugs, buildComparison } from "../lib/compare.js";
+
+const router = Router();
+
+/* GET /compare?slugs=a,b,c — side-by-side school comparison */
+router.get("/", async (req, res) => {
+  try {
+    const slugs = parseCompareSlugs(req.query.slugs);
+    const comparison = await buildComparison(slugs);
+    const enough = comparison.schools.length >= COMPARE_MIN;
+
+    res.status(enough || !slugs.length ? 200 : 404).render("compare", {
+      title: enough ? `Compare: ${comparison.schools.map((s) => s.name).join(" vs ")}` : "Compare schools",
+      description: "Compare private schools side by side — curriculum, boarding, learning environment and facilities.",
+      canonicalPath: "/compare",
+      ...comparison,
+      enough,
+      columnCount: comparison.schools.length + 1,
+      min: COMPARE_MIN,
+      max: COMPARE_MAX,
+      // facility cells as display flags so the view needs no helpers
+      facilityGroups: comparison.facilityGroups.map((g) => ({
+        ...g,
+        rows: g.rows.map((r) => ({ ...r, values: r.values.map((has) => ({ has })) })),
+      })),
+    });
+  } catch (err) {
+    console.error("[compare] error:", err);
+    res.status(500).send("Failed to compare schools");
+  }
+});
+
+export default router;
@@ -0,0 +1,195 @@
+// routes/me.js
+import { Router } from "express";
+import User, { IDENTITY_LABELS, identitiesOf, identityKey, normalizeEmail, normalizePhone } from "../models/user.js";
+import { isProviderConfigured, startIdentityLink } from "../config/passport.js";
+import { sendEmailLoginLink } from "../lib/emailLink.js";
+import { ensureAuth } from "../middleware/ensureAuth.js";
+import { listFavourites, removeFavourite } from "../lib/favourites.js";
+import { createLinkCode, LINK_CODE_TTL_MS } from "../lib/accountLink.js";
+import { rateLimit, hitRateLimit } from "../middleware/rateLimit.js";
+
+const router = Router();
+
+// the bot's number, for the "open WhatsApp" shortcut on the link page
+const botNumber = () => normalizePhone(process.env.WHATSAPP_BOT_NUMBER);
+
+const linkCodeLimit = rateLimit({
+  name: "link-code-user",
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  key: (req) => req.user?._id && String(req.user._id),
+  message: "Too many link codes requested — please try again in an hour.",
+});
+
+function renderWhatsAppLink(req, res, extra = {}) {
+  res.render("me_whatsapp", {
+    title: "Link WhatsApp",
+    canonicalPath: "/me/whatsapp",
+    linkedPhone: req.user.phone ? `+${req.user.phone}` : null,
+    botNumber: botNumber() ? `+${botNumber()}` : null,
+    ...extra,
+  });
+}
+
+/* GET /me/favourites — the signed-in user's saved schools */
+router.get("/favourites", ensureAuth, async (req, res) => {
+  try {
+    const favourites = await listFavourites(User, req.user._id);
+    res.render("me_favourites", {
+      title: "My favourite schools",
+      canonicalPath: "/me/favourites",
+      favourites,
+      msg: req.query.msg,
+    });
+  } catch (err) {
+    console.error("[me:favourites] error:", err);
+    res.status(500).send("Failed to load favourites");
+  }
+});
+
+/* POST /me/favourites/remove — remove button on the favourites page */
+router.post("/favourites/remove", ensureAuth, async (req, res) => {
+  try {
+    const removed = await removeFavourite(User, req.user._id, req.body.school);
+    const msg = removed ? `Removed ${removed.name}` : "That school wasn't in your favourites";
+    res.redirect(`/me/favourites?msg=${encodeURIComponent(msg)}`);
+  } catch (err) {
+    console.error("[me:favourites:remove] error:", err);
+    res.status(500).send("Failed to remove favourite");
+  }
+});
+
+/* GET /me/whatsapp — link the WhatsApp bot to this account */
+router.get("/whatsapp", ensureAuth, (req, res) => {
+  renderWhatsAppLink(req, res);
+});
+
+/* POST /me/whatsapp/code — issue a one-time code to send to the bot */
+router.post("/whatsapp/code", ensureAuth, linkCodeLimit, async (req, res) => {
+  try {
+    const { code } = await createLinkCode(req.user._id);
+    const message = `link ${code}`;
+    renderWhatsAppLink(req, res, {
+      code,
+      message,
+      minutes: Math.round(LINK_CODE_TTL_MS / 60000),
+      waUrl: botNumber() ? `https://wa.me/${botNumber()}?text=${encodeURIComponent(message)}` : null,
+    });
+  } catch (err) {
+    console.error("[me:whatsapp:code] error:", err);
+    res.status(500).send("Failed to create link code");
+  }
+});
+
+/* ---------------- account: sign-in methods ---------------- */
+
+const CONNECTABLE = ["google", "facebook"];
+
+const dateLabel = (d) => (d ? new Date(d).toISOString().split("T")[0] : "");
+
+/* GET /me/account — the ways this account can sign in */
+router.get("/account", ensureAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).lean();
+    if (!user) return res.redirect("/auth/logout");
+    const identities = identitiesOf(user);
+    const linked = new Set(identities.map((i) => i.provider));
+
+    // failed "connect" attempts come back with passport's failure message
+    const error = req.session?.messages?.length ? req.session.messages.pop() : null;
+    if (error) {
+      delete req.session.messages;
+      delete req.session.returnTo;
+    }
+
+    res.render("me_account", {
+      title: "My account",
+      canonicalPath: "/me/account",
+      account: { name: user.name, email: user.email, photo: user.photo },
+      identities: identities.map((i) => ({
+        provider: i.provider,
+        providerId: i.providerId,
+        label: IDENTITY_LABELS[i.provider] || i.provider,
+        detail: i.provider === "whatsapp" ? `+${i.providerId}` : i.provider === "email" ? i.providerId : i.email || "",
+        linkedLabel: dateLabel(i.linkedAt),
+        canUnlink: identities.length > 1,
+      })),
+      connect: CONNECTABLE.filter((p) => isProviderConfigured(p) && !linked.has(p)).map((p) => ({
+        provider: p,
+        label: IDENTITY_LABELS[p],
+      })),
+      hasWhatsApp: linked.has("whatsapp"),
+      msg: req.query.msg,
+      error,
+    });
+  } catch (err) {
+    console.error("[me:account] error:", err);
+    res.status(500).send("Failed to load account");
+  }
+});
+
+/* GET /me/account/connect/:provider — start OAuth to add Google/Facebook to this account */
+router.get("/account/connect/:provider", ensureAuth, (req, res) => {
+  const provider = req.params.provider;
+  if (!CONNECTABLE.includes(provider) || !isProviderConfigured(provider)) return res.status(404).send("Unknown provider");
+  req.session.returnTo = `/me/account?msg=${encodeURIComponent(`${IDENTITY_LABELS[provider]} connected`)}`;
+  startIdentityLink(req, provider);
+  res.redirect(`/auth/${provider}`);
+});
+
+const connectEmailLimit = rateLimit({
+  name: "connect-email-user",
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  key: (req) => req.user?._id && String(req.user._id),
+  message: "Too many emails requested — please try again in an hour.",
+});
+
+/* POST /me/account/connect/email { email } — email a link that adds the address to this account */
+router.post("/account/connect/email", ensureAuth, connectEmailLimit, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      // shown as an error by GET /me/account, like failed connects
+      req.session.messages = ["Enter a valid email address."];
+      return res.redirect("/me/account");
+    }
+    // shares the sign-in page's per-address cap, so one inbox can't be flooded
+    const { limited } = await hitRateLimit("signin-email-address", email, { windowMs: 60 * 60 * 1000, max: 5 });
+    if (!limited) {
+      startIdentityLink(req, "email", email);
+      req.session.returnTo = `/me/account?msg=${encodeURIComponent(`${email} connected`)}`;
+      await sendEmailLoginLink(email);
+    }
+    res.redirect(`/me/account?msg=${encodeURIComponent(`We've emailed a link to ${email} — open it in this browser to add the address.`)}`);
+  } catch (err) {
+    console.error("[me:account:connect-email] error:", err);
+    res.status(500).send("Failed to send the email");
+  }
+});
+
+/* POST /me/account/unlink — remove one sign-in method (never the last one) */
+router.post("/account/unlink", ensureAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.redirect("/auth/logout");
+    const key = identityKey(String(req.body.provider || ""), String(req.body.providerId || ""));
+    const identities = identitiesOf(user);
+    const remaining = identities.filter((i) => !(i.provider === key.provider && i.providerId === key.providerId));
+
+    let msg;
+    if (remaining.length === identities.length) msg = "That sign-in method isn't linked to your account";
+    else if (!remaining.length) msg = "You need at least one way to sign in — add another before removing this one";
+    else {
+      user.removeIdentity(key.provider, key.providerId);
+      await user.save();
+      msg = `${IDENTITY_LABELS[key.provider] || key.provider} unlinked`;
+    }
+    res.redirect(`/me/account?msg=${encodeURIComponent(msg)}`);
+  } catch (err) {
+    console.error("[me:account:unlink] error:", err);
+    res.status(500).send("Failed to unlink sign-in method");
+  }
+});
+
+export default router;
@@ -1,155 +1,637 @@
 // routes/register.js
 import { Router } from "express";
-import { body, validationResult } from "express-validator";
+import crypto from "crypto";
 import Registration from "../models/registration.js";
-import School from "../models/school.js";
-import nodemailer from "nodemailer";
+import RegistrationDraft from "../models/registrationDraft.js";
+import School, { PUBLISHED_FILTER } from "../models/school.js";
+import { nextNumber } from "../lib/numberGen.js";
+import { indemnityTextFor, registrationPdfBuffer, registrationPdfFilename } from "../lib/registrationPdf.js";
+import {
+  REGISTRATION_STEPS,
+  STEP_KEYS,
+  stepIndex,
+  getStep,
+  pickStepData,
+  validateStep,
+  validateAll,
+} from "../lib/registrationSteps.js";
+import {
+  ATTACHMENT_FIELDS,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  attachmentUpload,
+  uploadedFiles,
+  storeAttachments,
+  removeAttachments,
+  ATTACHMENT_ROOT,
+} from "../lib/registrationAttachments.js";
+import { esc } from "../lib/recommend.js";
+import { HONEYPOT_FIELD, issueFormToken, checkFormGuard } from "../lib/formGuard.js";
+import { rateLimit, hitRateLimit } from "../middleware/rateLimit.js";
+import { makeTransporter, mailFrom } from "../lib/mailer.js";
 
 const router = Router();
 
-// helper: simple transporter that logs if no SMTP configured
-function makeTransporter() {
-  if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-    return nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT || "587", 10),
-      secure: process.env.SMTP_SECURE === "1" || process.env.SMTP_SECURE === "true",
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-    });
-  } else {
-    // fallback: transport that logs to console (useful for dev)
+const SITE_URL = () => (process.env.SITE_URL || "https://skoolfinder.net").replace(/\/$/, "");
+
+const SCHOOL_FORM_FIELDS = "name slug city admissions registrationFields indemnityText";
+
+const findSchool = (slug) =>
+  slug ? School.findOne({ slug: String(slug).trim(), ...PUBLISHED_FILTER }).select(SCHOOL_FORM_FIELDS).lean() : null;
+
+// School's admissions inbox, else the operator inbox configured for the site
+function admissionsEmails(school) {
+  const emails = (school?.admissions?.emails || []).filter(Boolean);
+  if (emails.length) return emails;
+  return process.env.SCHOOL_CONTACT_EMAIL ? [process.env.SCHOOL_CONTACT_EMAIL] : [];
+}
+
+// registrationFields → template-ready inputs (type flags instead of ifeq blocks)
+function customFieldInputs(school, values = {}) {
+  return (school?.registrationFields || []).map((f) => {
+    const value = values[f.key] ?? "";
     return {
-      sendMail: async (opts) => {
-        console.log("=== email fallback (SMTP not configured) ===");
-        console.log("to:", opts.to);
-        console.log("subject:", opts.subject);
-        console.log("text:", opts.text);
-        return true;
-      },
+      ...f,
+      name: `custom[${f.key}]`,
+      value,
+      isTextarea: f.type === "textarea",
+      isSelect: f.type === "select",
+      isCheckbox: f.type === "checkbox",
+      isDate: f.type === "date",
+      isText: !["textarea", "select", "checkbox", "date"].includes(f.type),
+      checked: f.type === "checkbox" && !!value,
+      options: (f.options || []).map((o) => ({ value: o, selected: o === value })),
     };
+  });
+}
+
+// Validate submitted answers against the school's fields; unknown keys are dropped
+function readCustomFields(school, submitted = {}) {
+  const customFields = [];
+  const errors = [];
+  for (const f of school?.registrationFields || []) {
+    let value = submitted[f.key];
+    value = Array.isArray(value) ? value.join(", ") : String(value ?? "").trim();
+    if (f.type === "checkbox") value = value ? "Yes" : "";
+    if (f.type === "select" && value && !(f.options || []).includes(value)) value = "";
+    if (f.required && !value) errors.push({ msg: `${f.label} is required` });
+    if (value) customFields.push({ key: f.key, label: f.label, value });
   }
+  return { customFields, errors };
 }
 
-/* GET /register/:slug — show form prefilling school info */
-router.get("/:slug", async (req, res) => {
+/* ---------- abuse protection ---------- */
+
+const formPurpose = (school) => `register:${school.slug}`;
+const MIN_SUBMIT_MS = 2000; // faster than this on the final step is a script
+
+// every POST to the wizard, before uploads are parsed
+const registerIpLimit = rateLimit({ name: "register-ip", windowMs: 15 * 60 * 1000, max: 120 });
+// reference + phone guessing on the status page
+const statusIpLimit = rateLimit({ name: "register-status", windowMs: 15 * 60 * 1000, max: 20 });
+
+// Anything that sends email (submission, resume link) is capped per IP and per parent phone
+const SEND_LIMITS = [
+  { name: "register-send-ip", windowMs: 60 * 60 * 1000, max: 10, ids: (req) => [req.ip] },
+  {
+    name: "register-send-phone",
+    windowMs: 24 * 60 * 60 * 1000,
+    max: 5,
+    ids: (req, data) => [...new Set([data.fatherMobile, data.motherMobile].map((m) => phoneTail(m)).filter((t) => t.length >= 7))],
+  },
+];
+
+async function sendLimited(req, data = {}) {
+  for (const { name, windowMs, max, ids } of SEND_LIMITS) {
+    for (const id of ids(req, data)) {
+      if ((await hitRateLimit(name, id, { windowMs, max })).limited) {
+        console.warn(`[register] ${name} limited ${id}`);
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+const TOO_MANY_SUBMISSIONS = "Too many applications have been sent from this connection or phone number. Please try again later or contact the school.";
+
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const sameText = (v) => new RegExp(`^${esc(String(v || "").trim())}$`, "i");
+
+// Same student (name + date of birth) already registered at this school recently
+function findDuplicate(school, data) {
+  if (!data.dateOfBirth) return null;
+  return Registration.findOne({
+    school: school._id,
+    studentFirstName: sameText(data.studentFirstName),
+    studentLastName: sameText(data.studentLastName),
+    dateOfBirth: new Date(data.dateOfBirth),
+    submittedAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) },
+  })
+    .select("reference submittedAt")
+    .lean();
+}
+
+/* ---------- wizard drafts ---------- */
+
+// slug → draft token, so a visitor can have one open application per school
+const draftTokens = (req) => (req.session.registrationDrafts ||= {});
+
+const stepUrl = (school, step) => `/register/${encodeURIComponent(school.slug)}?step=${step}`;
+const resumeUrl = (draft) => `${SITE_URL()}/register/resume/${draft.token}`;
+
+async function findDraft(req, school) {
+  const token = req.session?.registrationDrafts?.[school.slug];
+  return token ? RegistrationDraft.findOne({ token, school: school._id }) : null;
+}
+
+function newDraft(req, school) {
+  return new RegistrationDraft({
+    token: crypto.randomBytes(24).toString("hex"),
+    sessionId: req.sessionID,
+    school: school._id,
+    schoolSlug: school.slug,
+  });
+}
+
+// Merge answers into the draft and remember it in the session; `reached` only moves forward
+async function saveDraft(req, draft, data, reached) {
+  draft.data = { ...(draft.data || {}), ...data };
+  draft.markModified("data");
+  if (reached && stepIndex(reached) > stepIndex(draft.step)) draft.step = reached;
+  draft.sessionId = req.sessionID;
+  draft.touch();
+  await draft.save();
+  draftTokens(req)[draft.schoolSlug] = draft.token;
+  return draft;
+}
+
+// Apply the documents step: removals ticked by the parent, then new uploads.
+// Returns a message for the parent when something was rejected.
+async function updateDraftAttachments(req, draft) {
+  if (req.attachmentError) return req.attachmentError;
+
+  const removeIds = [].concat(req.body.removeAttachments || []).map(String);
+  const removed = draft.attachments.filter((a) => removeIds.includes(String(a._id)));
+  for (const a of removed) draft.attachments.pull(a._id);
+  await removeAttachments(removed);
+
+  const files = uploadedFiles(req);
+  if (draft.attachments.length + files.length > MAX_ATTACHMENTS) {
+    return `Please upload at most ${MAX_ATTACHMENTS} files in total.`;
+  }
+  try {
+    draft.attachments.push(...(await storeAttachments(files, `${ATTACHMENT_ROOT}/${draft._id}`)));
+  } catch (err) {
+    if (err.userFacing) return err.message;
+    throw err;
+  }
+  return null;
+}
+
+const parentDisplayName = (d = {}) =>
+  [d.fatherName, d.motherName].map((v) => String(v || "").trim()).filter(Boolean).join(" & ");
+const studentDisplayName = (d = {}) =>
+  [d.studentFirstName, d.studentMiddleName, d.studentLastName].map((v) => String(v || "").trim()).filter(Boolean).join(" ");
+
+// Saved rows plus blanks so there is always somewhere to type
+function formRows(rows, min, blank) {
+  const list = Array.isArray(rows) ? rows.map((r) => ({ ...blank, ...r })) : [];
+  const size = Math.max(min, list.length + 1);
+  while (list.length < size) list.push({ ...blank });
+  return list;
+}
+
+// `form` overrides the saved answers, e.g. to show what was typed into a rejected post
+function renderStep(res, school, { step = "student", draft = null, form: typed, errors, notice } = {}) {
+  const form = { ...(draft?.data || {}), ...(typed || {}) };
+  const current = stepIndex(step);
+  const reached = draft ? stepIndex(draft.step) : 0;
+  return res.render("register_form", {
+    title: school ? `Student Registration — ${school.name}` : "Student Registration",
+    school,
+    form,
+    errors,
+    notice,
+    step,
+    onStep: Object.fromEntries(STEP_KEYS.map((k) => [k, k === step])),
+    steps: REGISTRATION_STEPS.map((s, i) => ({
+      title: s.title,
+      number: i + 1,
+      isCurrent: i === current,
+      isDone: i < current,
+      url: i <= reached && i !== current ? stepUrl(school, s.key) : null,
+    })),
+    stepNumber: current + 1,
+    stepCount: STEP_KEYS.length,
+    isFirst: current === 0,
+    isLast: current === STEP_KEYS.length - 1,
+    action: `/register/${encodeURIComponent(school.slug)}/step/${step}`,
+    resumeUrl: draft && !draft.isNew ? resumeUrl(draft) : null,
+    previousSchoolRows: formRows(form.previousSchools, 3, { name: "", syllabus: "", stageGrade: "", term: "", year: "" }),
+    siblingRows: formRows(form.siblings, 2, { fullName: "", age: "" }),
+    parentDisplayName: parentDisplayName(form),
+    studentDisplayName: studentDisplayName(form),
+    customFields: customFieldInputs(school, form.custom),
+    attachmentFields: ATTACHMENT_FIELDS.map((f) => ({ ...f, multiple: f.maxCount > 1 })),
+    attachments: (draft?.attachments || []).map((a) => ({
+      id: String(a._id),
+      kind: a.kind,
+      filename: a.filename,
+      sizeLabel: a.size ? `${Math.ceil(a.size / 1024)} KB` : "",
+    })),
+    attachmentAccept: Object.values(ATTACHMENT_TYPES).concat(Object.keys(ATTACHMENT_TYPES)).join(","),
+    maxAttachmentMb: MAX_ATTACHMENT_BYTES / (1024 * 1024),
+    maxAttachments: MAX_ATTACHMENTS,
+    schoolContactEmail: admissionsEmails(school)[0],
+    indemnityText: indemnityTextFor(school),
+    formToken: issueFormToken(formPurpose(school)),
+    honeypotField: HONEYPOT_FIELD,
+  });
+}
+
+/* ---------- application status (reference + phone) ---------- */
+
+// Parents' labels for the admin inbox statuses
+const STATUS_LABELS = {
+  new: "Received — waiting for the school to review",
+  contacted: "The school has contacted you",
+  "interview booked": "Interview booked",
+  accepted: "Accepted",
+  declined: "Not successful",
+};
+
+// Compare the national part of the number so +263 77…, 077… and 77… all match
+const phoneTail = (v) => String(v || "").replace(/\D/g, "").slice(-9);
+
+/* GET /register/status/:ref — ask for the phone number */
+router.get("/status/:ref", (req, res) => {
+  res.render("register_status", { title: "Application status", reference: req.params.ref });
+});
+
+/* POST /register/status/:ref — show status when the phone matches */
+router.post("/status/:ref", statusIpLimit, async (req, res) => {
   try {
-    const slug = req.params.slug;
-    let school = null;
-    if (slug) {
-      school = await School.findOne({ slug }).select("name slug city").lean();
-    }
-    res.render("register_form", {
-      title: "Student Registration",
-      school,
-      // include contact email to display to users
-      schoolContactEmail: process.env.SCHOOL_CONTACT_EMAIL || "enquiries@steuritintenationalschool.org",
+    const reference = String(req.params.ref || "").trim().toUpperCase();
+    const phone = phoneTail(req.body.phone);
+    const reg = phone.length >= 7 ? await Registration.findOne({ reference }).lean() : null;
+    const matches = reg && [reg.fatherMobile, reg.motherMobile].some((m) => m && phoneTail(m) === phone);
+    if (!matches) {
+      return res.status(404).render("register_status", {
+        title: "Application status",
+        reference,
+        error: "We couldn't find an application with that reference and phone number.",
+      });
+    }
+    const status = reg.status || "new";
+    res.render("register_status", {
+      title: "Application status",
+      reference,
+      application: {
+        schoolName: reg.schoolName || reg.schoolSlug,
+        studentFirstName: reg.studentFirstName,
+        submitted: (reg.submittedAt || reg.createdAt)?.toISOString().split("T")[0],
+        status,
+        statusLabel: STATUS_LABELS[status] || status,
+      },
     });
   } catch (err) {
-    console.error("[register:get] error:", err);
-    res.status(500).send("Failed to load registration form");
+    console.error("[register:status] error:", err);
+    res.status(500).send("Failed to check application status");
   }
 });
 
-/* POST /register — submit form */
-router.post(
-  "/",
-  [
-    // server-side light validation
-    body("studentFirstName").trim().notEmpty().withMessage("Student first name is required"),
-    body("studentLastName").trim().notEmpty().withMessage("Student last name is required"),
-    body("fatherMobile").trim().notEmpty().withMessage("Parent contact required"),
-    // more validators can be added as needed
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        // re-render with errors (simple)
-        return res.status(400).render("register_form", {
-          title: "Student Registration - Errors",
-          errors: errors.array(),
-          form: req.body,
-        });
-      }
 
-      const reg = await Registration.create({
-        schoolSlug: req.body.schoolSlug,
-        schoolName: req.body.schoolName,
-        studentFirstName: req.body.studentFirstName,
-        studentMiddleName: req.body.studentMiddleName,
-        studentLastName: req.body.studentLastName,
-        dateOfBirth: req.body.dateOfBirth ? new Date(req.body.dateOfBirth) : undefined,
-        gender: req.body.gender,
-        currentGrade: req.body.currentGrade,
-        recommendedStage: req.body.recommendedStage,
-        previousSchools: Array.isArray(req.body.previousSchools)
-          ? req.body.previousSchools
-          : req.body.previousSchools
-          ? [req.body.previousSchools]
-          : [],
-        languagesSpoken: req.body.languagesSpoken,
-        allergies: req.body.allergies,
-        siblings: req.body.siblings || [],
-        fatherName: req.body.fatherName,
-        fatherQualifications: req.body.fatherQualifications,
-        fatherOccupation: req.body.fatherOccupation,
-        fatherMobile: req.body.fatherMobile,
-        fatherEmail: req.body.fatherEmail,
-        motherName: req.body.motherName,
-        motherQualifications: req.body.motherQualifications,
-        motherOccupation: req.body.motherOccupation,
-        motherMobile: req.body.motherMobile,
-        motherEmail: req.body.motherEmail,
-        homeAddress: req.body.homeAddress,
-        workAddress: req.body.workAddress,
-        indemnityAccepted: !!req.body.indemnityAccepted,
-        indemnityText: req.body.indemnityText,
-        ip: req.ip,
-        userAgent: req.get("user-agent"),
-      });
+/* ---------- submission ---------- */
 
-      // send email to school enquiries
-      const transporter = makeTransporter();
-
-      const toEmail = process.env.SCHOOL_CONTACT_EMAIL || "enquiries@steuritintenationalschool.org";
-      const fromEmail = process.env.EMAIL_FROM || process.env.SMTP_USER || "no-reply@example.com";
-
-      const subject = `New registration: ${reg.studentFirstName} ${reg.studentLastName} — ${reg.schoolName || reg.schoolSlug || ""}`;
-      const lines = [
-        `School: ${reg.schoolName || reg.schoolSlug || "n/a"}`,
-        `Student: ${reg.studentFirstName} ${reg.studentMiddleName || ""} ${reg.studentLastName}`,
-        `DOB: ${reg.dateOfBirth ? reg.dateOfBirth.toISOString().split("T")[0] : "n/a"}`,
-        `Gender: ${reg.gender || ""}`,
-        `Current grade: ${reg.currentGrade || ""}`,
-        `Father mobile: ${reg.fatherMobile || ""}`,
-        `Father email: ${reg.fatherEmail || ""}`,
-        `Mother mobile: ${reg.motherMobile || ""}`,
-        `Mother email: ${reg.motherEmail || ""}`,
-        "",
-        "Full submission JSON follows:",
-        JSON.stringify(reg.toObject ? reg.toObject() : reg, null, 2),
-      ];
-      const text = lines.join("\n");
+// Save a fully validated application and email the school and the parents; resolves to the receipt view locals
+async function submitRegistration(req, school, data, customFields, attachments = []) {
+  // a double submit or a re-sent form: point at the first one, send nothing
+  const duplicate = await findDuplicate(school, data);
+  if (duplicate) {
+    await removeAttachments(attachments);
+    return {
+      title: "Registration already received",
+      duplicate: true,
+      schoolName: school.name,
+      reference: duplicate.reference,
+      submittedLabel: duplicate.submittedAt?.toISOString().split("T")[0],
+      statusPath: duplicate.reference ? `/register/status/${encodeURIComponent(duplicate.reference)}` : null,
+    };
+  }
+
+  const reg = await Registration.create({
+    reference: await nextNumber("registration"),
+    school: school._id,
+    schoolSlug: school.slug,
+    schoolName: school.name,
+    user: req.user?._id,
+    studentFirstName: data.studentFirstName,
+    studentMiddleName: data.studentMiddleName,
+    studentLastName: data.studentLastName,
+    dateOfBirth: data.dateOfBirth ? new Date(data.dateOfBirth) : undefined,
+    gender: data.gender,
+    currentGrade: data.currentGrade,
+    recommendedStage: data.recommendedStage,
+    previousSchools: data.previousSchools || [],
+    languagesSpoken: data.languagesSpoken,
+    allergies: data.allergies,
+    siblings: data.siblings || [],
+    fatherName: data.fatherName,
+    fatherQualifications: data.fatherQualifications,
+    fatherOccupation: data.fatherOccupation,
+    fatherMobile: data.fatherMobile,
+    fatherEmail: data.fatherEmail,
+    motherName: data.motherName,
+    motherQualifications: data.motherQualifications,
+    motherOccupation: data.motherOccupation,
+    motherMobile: data.motherMobile,
+    motherEmail: data.motherEmail,
+    homeAddress: data.homeAddress,
+    workAddress: data.workAddress,
+    customFields,
+    attachments: attachments.map((a) => (a.toObject ? a.toObject() : a)),
+    indemnityAccepted: !!data.indemnityAccepted,
+    // snapshot of who accepted, built here rather than trusted from the browser
+    indemnityText: `Accepted by: ${parentDisplayName(data) || "[not provided]"}; Student: ${studentDisplayName(data) || "[not provided]"}; Date: ${new Date().toISOString()}`,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
 
+  // send email to school enquiries
+  const transporter = makeTransporter();
+
+  const toEmails = admissionsEmails(school);
+  const fromEmail = mailFrom();
+
+  const subject = `New registration ${reg.reference}: ${reg.studentFirstName} ${reg.studentLastName} — ${reg.schoolName || reg.schoolSlug || ""}`;
+  const lines = [
+    `Reference: ${reg.reference}`,
+    `School: ${reg.schoolName || reg.schoolSlug || "n/a"}`,
+    `Student: ${reg.studentFirstName} ${reg.studentMiddleName || ""} ${reg.studentLastName}`,
+    `DOB: ${reg.dateOfBirth ? reg.dateOfBirth.toISOString().split("T")[0] : "n/a"}`,
+    `Gender: ${reg.gender || ""}`,
+    `Current grade: ${reg.currentGrade || ""}`,
+    `Father mobile: ${reg.fatherMobile || ""}`,
+    `Father email: ${reg.fatherEmail || ""}`,
+    `Mother mobile: ${reg.motherMobile || ""}`,
+    `Mother email: ${reg.motherEmail || ""}`,
+    ...reg.customFields.map((f) => `${f.label}: ${f.value}`),
+    `Documents uploaded: ${reg.attachments.length ? reg.attachments.map((a) => `${a.kind} (${a.filename})`).join(", ") : "none"}`,
+    "",
+    "Full submission JSON follows:",
+    JSON.stringify(reg.toObject ? reg.toObject() : reg, null, 2),
+  ];
+  const text = lines.join("\n");
+
+  if (toEmails.length) {
+    // printable copy of the form; the email still goes out if rendering fails
+    const attachments = [];
+    try {
+      attachments.push({
+        filename: registrationPdfFilename(reg),
+        content: await registrationPdfBuffer(reg, school),
+        contentType: "application/pdf",
+      });
+    } catch (pdfErr) {
+      console.error(`[register:post] PDF rendering failed for ${reg.reference}:`, pdfErr);
+    }
+    // the registration is saved and listed in admin either way; a mail failure must not lose it
+    try {
       await transporter.sendMail({
         from: fromEmail,
-        to: toEmail,
+        to: toEmails.join(", "),
         subject,
         text,
+        attachments,
+      });
+    } catch (mailErr) {
+      console.error(`[register:post] school notification failed for ${reg.reference}:`, mailErr);
+    }
+  } else {
+    console.warn(`[register:post] no admissions email for "${school.slug}"; registration ${reg._id} saved only`);
+  }
+
+  // confirmation to the parents
+  const parentEmails = [...new Set([reg.fatherEmail, reg.motherEmail].map((e) => String(e || "").trim()).filter(Boolean))];
+  const statusUrl = `${SITE_URL()}/register/status/${encodeURIComponent(reg.reference)}`;
+  if (parentEmails.length) {
+    try {
+      await transporter.sendMail({
+        from: fromEmail,
+        to: parentEmails.join(", "),
+        replyTo: toEmails[0],
+        subject: `Application ${reg.reference} received — ${school.name}`,
+        text: [
+          "Thank you for applying.",
+          "",
+          `Reference: ${reg.reference}`,
+          `School: ${school.name}`,
+          `Student: ${[reg.studentFirstName, reg.studentMiddleName, reg.studentLastName].filter(Boolean).join(" ")}`,
+          `Date of birth: ${reg.dateOfBirth ? reg.dateOfBirth.toISOString().split("T")[0] : "n/a"}`,
+          `Current grade: ${reg.currentGrade || "n/a"}`,
+          `Submitted: ${reg.submittedAt.toISOString().split("T")[0]}`,
+          "",
+          `The school will contact you on the details you provided. You can check the status of the application at ${statusUrl} using this reference and the phone number on the form.`,
+        ].join("\n"),
+      });
+    } catch (mailErr) {
+      console.error(`[register:post] parent confirmation failed for ${reg.reference}:`, mailErr);
+    }
+  }
+
+  return {
+    title: "Registration submitted",
+    schoolName: school.name,
+    emailTo: toEmails[0],
+    reference: reg.reference,
+    statusPath: `/register/status/${encodeURIComponent(reg.reference)}`,
+    parentEmails: parentEmails.join(", "),
+  };
+}
+
+// Email the resume link to whichever parent addresses the draft has so far
+async function emailResumeLink(school, draft) {
+  const to = [...new Set([draft.data?.fatherEmail, draft.data?.motherEmail].map((e) => String(e || "").trim()).filter((e) => e.includes("@")))];
+  if (!to.length) return [];
+  try {
+    await makeTransporter().sendMail({
+      from: mailFrom(),
+      to: to.join(", "),
+      subject: `Continue your application — ${school.name}`,
+      text: [
+        `Your registration for ${school.name} has been saved.`,
+        "",
+        `Continue where you left off: ${resumeUrl(draft)}`,
+        "",
+        "Anyone with this link can see and change the application, so please don't share it.",
+      ].join("\n"),
+    });
+    return to;
+  } catch (mailErr) {
+    console.error(`[register:save] resume email failed for draft ${draft._id}:`, mailErr);
+    return [];
+  }
+}
+
+/* GET /register/resume/:token — reopen a saved application from its link */
+router.get("/resume/:token", async (req, res) => {
+  try {
+    const draft = await RegistrationDraft.findOne({ token: String(req.params.token) }).select("token schoolSlug step").lean();
+    if (!draft) return res.status(404).send("This registration link has expired or the application was already submitted.");
+    draftTokens(req)[draft.schoolSlug] = draft.token;
+    res.redirect(`/register/${encodeURIComponent(draft.schoolSlug)}?step=${draft.step}`);
+  } catch (err) {
+    console.error("[register:resume] error:", err);
+    res.status(500).send("Failed to resume registration");
+  }
+});
+
+/* GET /register/:slug — show the current wizard step for that school */
+router.get("/:slug", async (req, res) => {
+  try {
+    const school = await findSchool(req.params.slug);
+    if (!school) return res.status(404).send("School not found");
+    const draft = await findDraft(req, school);
+    // steps can be revisited but not skipped
+    const reached = draft ? stepIndex(draft.step) : 0;
+    const wanted = stepIndex(String(req.query.step || ""));
+    const step = STEP_KEYS[wanted >= 0 && wanted <= reached ? wanted : reached];
+    renderStep(res, school, { step, draft });
+  } catch (err) {
+    console.error("[register:get] error:", err);
+    res.status(500).send("Failed to load registration form");
+  }
+});
+
+/* POST /register/:slug/step/:step — save a step; nav = back | save | next */
+router.post("/:slug/step/:step", registerIpLimit, attachmentUpload, async (req, res) => {
+  try {
+    const school = await findSchool(req.params.slug);
+    if (!school) return res.status(404).send("School not found");
+    const step = getStep(req.params.step);
+    if (!step) return res.status(404).send("Unknown registration step");
+
+    const index = stepIndex(step.key);
+    const submitting = req.body.nav !== "back" && req.body.nav !== "save" && index === STEP_KEYS.length - 1;
+    const submitted = pickStepData(step.key, req.body);
+
+    const rejected = checkFormGuard(req, formPurpose(school), { minAgeMs: submitting ? MIN_SUBMIT_MS : 0 });
+    if (rejected) {
+      console.warn(`[register:step] rejected post for "${school.slug}" from ${req.ip}: ${rejected}`);
+      if (rejected !== "expired token" && rejected !== "submitted too fast") return res.status(400).send("Submission rejected");
+      // a real person who left the page open or clicked very quickly: show the step again with a fresh token
+      return renderStep(res.status(400), school, {
+        step: step.key,
+        draft: await findDraft(req, school),
+        form: submitted,
+        errors: [{ msg: "Please check your answers and press the button again." }],
       });
+    }
+
+    const draft = (await findDraft(req, school)) || newDraft(req, school);
+
+    // uploads are kept whichever button was pressed
+    if (step.key === "documents") {
+      const problem = await updateDraftAttachments(req, draft);
+      if (problem) {
+        await saveDraft(req, draft, submitted);
+        return renderStep(res.status(400), school, { step: step.key, draft, errors: [{ msg: problem }] });
+      }
+    }
 
-      res.render("register_success", {
-        title: "Registration submitted",
-        emailTo: toEmail,
+    // back / save keep whatever was typed, valid or not
+    if (req.body.nav === "back") {
+      await saveDraft(req, draft, submitted);
+      return res.redirect(stepUrl(school, STEP_KEYS[Math.max(index - 1, 0)]));
+    }
+    if (req.body.nav === "save") {
+      await saveDraft(req, draft, submitted);
+      const emailed = (await sendLimited(req, draft.data)) ? [] : await emailResumeLink(school, draft);
+      return renderStep(res, school, {
+        step: step.key,
+        draft,
+        notice: emailed.length
+          ? `Saved. We've emailed a link to continue later to ${emailed.join(", ")}.`
+          : "Saved. Keep the link below to continue later.",
       });
-    } catch (err) {
-      console.error("[register:post] error:", err);
-      res.status(500).send("Failed to submit registration");
     }
+
+    const { errors, data } = await validateStep(step.key, submitted);
+    if (step.key === "indemnity") errors.push(...readCustomFields(school, data.custom).errors);
+    if (errors.length) {
+      await saveDraft(req, draft, submitted);
+      return renderStep(res.status(400), school, { step: step.key, draft, errors });
+    }
+
+    const next = STEP_KEYS[index + 1];
+    if (next) {
+      await saveDraft(req, draft, data, next);
+      return res.redirect(stepUrl(school, next));
+    }
+
+    // last step: re-check the whole application, earlier steps may predate a rule change
+    const merged = { ...(draft.data || {}), ...data };
+    const all = await validateAll(merged);
+    const custom = readCustomFields(school, merged.custom);
+    if (all.errors.length) {
+      await saveDraft(req, draft, data);
+      return renderStep(res.status(400), school, { step: all.step, draft, errors: all.errors });
+    }
+
+    if (await sendLimited(req, all.data)) {
+      await saveDraft(req, draft, data);
+      return renderStep(res.status(429), school, { step: step.key, draft, errors: [{ msg: TOO_MANY_SUBMISSIONS }] });
+    }
+
+    const receipt = await submitRegistration(req, school, all.data, custom.customFields, draft.attachments);
+    delete draftTokens(req)[school.slug];
+    if (!draft.isNew) {
+      await draft.deleteOne().catch((delErr) => console.error(`[register:step] draft cleanup failed for ${draft._id}:`, delErr));
+    }
+    res.render("register_success", receipt);
+  } catch (err) {
+    console.error("[register:step] error:", err);
+    res.status(500).send("Failed to save registration step");
   }
-);
+});
+
+/* POST /register — one-shot submit (all steps in one body) */
+router.post("/", registerIpLimit, attachmentUpload, async (req, res) => {
+  try {
+    const school = await findSchool(req.body.schoolSlug);
+    if (!school) return res.status(400).send("Unknown school — please open the registration form from the school's page.");
+
+    const rejected = checkFormGuard(req, formPurpose(school), { minAgeMs: MIN_SUBMIT_MS });
+    if (rejected) {
+      console.warn(`[register:post] rejected post for "${school.slug}" from ${req.ip}: ${rejected}`);
+      return res.status(400).send("Submission rejected");
+    }
+
+    const data = Object.assign({}, ...STEP_KEYS.map((k) => pickStepData(k, req.body)));
+    const draft = newDraft(req, school);
+    const problem = await updateDraftAttachments(req, draft);
+    const all = await validateAll(data);
+    const custom = readCustomFields(school, data.custom);
+    if (all.errors.length || custom.errors.length || problem) {
+      // park it as a draft so the wizard can pick up from the first bad step
+      const step = all.step || (problem ? "documents" : "indemnity");
+      await saveDraft(req, draft, data, step);
+      const errors = all.errors.length ? all.errors : problem ? [{ msg: problem }] : custom.errors;
+      return renderStep(res.status(400), school, { step, draft, errors });
+    }
+
+    if (await sendLimited(req, all.data)) {
+      await removeAttachments(draft.attachments);
+      return res.status(429).send(TOO_MANY_SUBMISSIONS);
+    }
+
+    res.render("register_success", await submitRegistration(req, school, all.data, custom.customFields, draft.attachments));
+  } catch (err) {
+    console.error("[register:post] error:", err);
+    res.status(500).send("Failed to submit registration");
+  }
+});
 
 export default router;
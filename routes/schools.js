@@ -0,0 +1,75 @@
+// routes/schools.js
+import { Router } from "express";
+import School, { PUBLISHED_FILTER } from "../models/school.js";
+import { groupFacilities } from "../lib/facilities.js";
+import { documentLinksBySchool } from "../lib/documents.js";
+
+const router = Router();
+
+const SITE_URL = () => (process.env.SITE_URL || "https://skoolfinder.net").replace(/\/$/, "");
+
+// JSON-LD is injected raw into a <script> tag, so "<" must never appear literally
+const toJsonLd = (obj) => JSON.stringify(obj).replace(/</g, "\\u003c");
+
+function buildSchoolJsonLd(school, pageUrl) {
+  const sameAs = [school.website, school.facebookUrl].filter(Boolean);
+  const ld = {
+    "@context": "https://schema.org",
+    "@type": "School",
+    name: school.name,
+    url: pageUrl,
+    image: `${SITE_URL()}/og/${encodeURIComponent(school.slug)}.png`,
+    address: {
+      "@type": "PostalAddress",
+      addressLocality: school.city || undefined,
+      streetAddress: school.address || undefined,
+      addressCountry: "ZW",
+    },
+  };
+  if (school.contact) ld.telephone = school.contact;
+  if (sameAs.length) ld.sameAs = sameAs;
+  return ld;
+}
+
+/* GET /schools/:slug — public school profile */
+router.get("/:slug", async (req, res) => {
+  try {
+    const slug = String(req.params.slug || "").trim();
+    const school = slug ? await School.findOne({ slug, ...PUBLISHED_FILTER }).lean() : null;
+    if (!school) return res.status(404).send("School not found");
+
+    const documents = (await documentLinksBySchool([school])).get(String(school._id)) || [];
+    const canonicalPath = `/schools/${encodeURIComponent(school.slug)}`;
+    const pageUrl = `${SITE_URL()}${canonicalPath}`;
+
+    const summaryParts = [
+      (school.type || []).join(", "),
+      (school.curriculum_list || []).join(", "),
+      school.city,
+    ].filter(Boolean);
+    const description = `${school.name} — ${summaryParts.join(" · ") || "private school in Zimbabwe"}. Facilities, curriculum and contact details on ZimEduFinder.`;
+
+    res.render("school_profile", {
+      title: school.name,
+      metaTitle: `${school.name} | ZimEduFinder`,
+      description,
+      ogTitle: `${school.name} – ZimEduFinder`,
+      ogDescription: description,
+      ogImage: `${SITE_URL()}/og/${encodeURIComponent(school.slug)}.png`,
+      ogType: "place",
+      canonicalPath,
+      jsonLd: toJsonLd(buildSchoolJsonLd(school, pageUrl)),
+      school,
+      facilityGroups: groupFacilities(school.facilities),
+      documents,
+      learningEnvironmentLabel: school.learningEnvironment
+        ? `${school.learningEnvironment} learning environment`
+        : null,
+    });
+  } catch (err) {
+    console.error("[schools:profile] error:", err);
+    res.status(500).send("Failed to load school");
+  }
+});
+
+export default router;
@@ -4,7 +4,11 @@ import { Router } from "express";
 import twilio from "twilio";
 import axios from "axios";
 import MessagingResponse from "twilio/lib/twiml/MessagingResponse.js";
-import User from "../models/user.js";
+import User, { identityFilter, normalizePhone } from "../models/user.js";
+import { internalRequestHeaders } from "../lib/formGuard.js";
+import { addFavourite, listFavourites, removeFavourite } from "../lib/favourites.js";
+import { redeemLinkCode } from "../lib/accountLink.js";
+import { hitRateLimit } from "../middleware/rateLimit.js";
 import fs from "fs";
 import path from "path";
 
@@ -61,11 +65,6 @@ function toArraySafe(v) {
   return [String(v)];
 }
 
-function normalizePhone(p) {
-  if (!p) return "";
-  return String(p).replace(/^whatsapp:/i, "").replace(/\D+/g, "");
-}
-
 function verifyTwilioRequest(req) {
   if (process.env.DEBUG_TWILIO_SKIP_VERIFY === "1") {
     console.log("TWILIO_VERIFY: DEBUG skip enabled");
@@ -411,11 +410,12 @@ receipt create|amount:100|description:Payment|customer:Name|email:...`;
     } // end admin
 
     // ---------- non-admin flow (unchanged behaviour) ----------
-    let user = await User.findOne({ provider: "whatsapp", providerId });
+    // a web account that has this number linked counts as the same person
+    let user = await User.findOne(identityFilter("whatsapp", providerId));
     if (!user) {
-      user = await User.create({ provider: "whatsapp", providerId, name: profileName || undefined, role: "user" });
+      user = await User.create({ provider: "whatsapp", providerId, phone: providerId, name: profileName || undefined, role: "user" });
       console.log("TWILIO: created user", user._id?.toString());
-    } else if (profileName && user.name !== profileName) {
+    } else if (profileName && user.provider === "whatsapp" && user.name !== profileName) {
       user.name = profileName; await user.save(); console.log("TWILIO: updated user name", user._id?.toString());
     }
 
@@ -423,44 +423,67 @@ receipt create|amount:100|description:Payment|customer:Name|email:...`;
     const lctext = text.toLowerCase();
 
     if (!lctext || ["hi", "hello", "hey"].includes(lctext)) {
-      const reply = "Hi! I'm ZimEduFinder 🤖\n\nCommands:\n• find [city] [filters]\n   e.g. 'find harare cambridge boarding primary urban'\n• fav add <slug>\n• help";
+      const reply = "Hi! I'm ZimEduFinder 🤖\n\nCommands:\n• find [city] [filters]\n   e.g. 'find harare cambridge boarding primary urban'\n• fav add <slug>\n• fav list\n• fav remove <slug>\n• link <code> (connect to your website account)\n• help";
       return sendTwimlText(res, reply);
     }
 
     if (lctext === "help") {
-      const reply = "ZimEduFinder Help:\n• find [city] [filters]\nFilters: curriculum (cambridge, zimsec, ib), boarding/day, phase (primary/secondary/preschool), environment (urban/suburban/rural)\nExamples:\n• find harare cambridge boarding primary urban\n• find bulawayo zimsec day secondary";
+      const reply = "ZimEduFinder Help:\n• find [city] [filters]\nFilters: curriculum (cambridge, zimsec, ib), boarding/day, phase (primary/secondary/preschool), environment (urban/suburban/rural)\nExamples:\n• find harare cambridge boarding primary urban\n• find bulawayo zimsec day secondary\nFavourites (same list as on the website once your number is linked):\n• fav add <school-slug>\n• fav list\n• fav remove <school-slug>\nWebsite account:\n• link <code> — get the code under 'Link WhatsApp' on the website";
       return sendTwimlText(res, reply);
     }
 
+    if (lctext === "link" || lctext.startsWith("link ")) {
+      // cap guesses per number (lib/accountLink.js also caps its wrong codes per day)
+      const { limited } = await hitRateLimit("link-phone", providerIdNormalized, { windowMs: 15 * 60 * 1000, max: 5 });
+      if (limited) return sendTwimlText(res, "Too many link attempts — please wait 15 minutes and try again.");
+      try {
+        const { user: linked, alreadyLinked, error } = await redeemLinkCode(text.slice(4).trim(), user);
+        if (error) return sendTwimlText(res, error);
+        const who = linked.email || linked.name || "your website account";
+        return sendTwimlText(res, alreadyLinked
+          ? `This number is already linked to ${who}.`
+          : `Linked! This number is now connected to ${who}. Your favourites and last search are shared with the website.`);
+      } catch (e) {
+        console.error("TWILIO: link error:", e && e.message ? e.message : e);
+        return sendTwimlText(res, "Could not link your account — try again later.");
+      }
+    }
+
     const words = lctext.split(/\s+/).filter(Boolean);
     if (words[0] === "find") {
       const city = words[1] || "Harare";
       const wantsBoarding = words.some((w) => /board|boarding/.test(w));
       const type2 = wantsBoarding ? ["Boarding"] : [];
       const curriculum = words.filter((w) => /cambridge|caie|zimsec|ib/.test(w));
-      const lastPrefs = { city: String(city), curriculum: Array.isArray(curriculum) ? curriculum.map(String) : toArraySafe(curriculum), learningEnvironment: undefined, schoolPhase: undefined, type2: Array.isArray(type2) ? type2.map(String) : toArraySafe(type2), facilities: [] };
+      const lastPrefs = { city: String(city), curriculum: Array.isArray(curriculum) ? curriculum.map(String) : toArraySafe(curriculum), learningEnvironment: undefined, schoolPhase: undefined, type2: Array.isArray(type2) ? type2.map(String) : toArraySafe(type2), facilities: [], savedAt: new Date() };
 
       try {
-        await User.findOneAndUpdate({ provider: "whatsapp", providerId }, { $set: { lastPrefs } }, { new: true, upsert: true });
+        await User.updateOne({ _id: user._id }, { $set: { lastPrefs } });
       } catch (e) { console.error("TWILIO: failed saving lastPrefs:", e && (e.stack || e.message) ? (e.stack || e.message) : e); }
 
       try {
         const site = (process.env.SITE_URL || "").replace(/\/$/, "");
         if (!site) throw new Error("SITE_URL not configured");
-        const resp = await axios.post(`${site}/api/recommend`, { city: lastPrefs.city, curriculum: lastPrefs.curriculum, learningEnvironment: lastPrefs.learningEnvironment, schoolPhase: lastPrefs.schoolPhase, type2: lastPrefs.type2, facilities: lastPrefs.facilities }, { timeout: 10000 });
+        const resp = await axios.post(`${site}/api/recommend`, { city: lastPrefs.city, curriculum: lastPrefs.curriculum, learningEnvironment: lastPrefs.learningEnvironment, schoolPhase: lastPrefs.schoolPhase, type2: lastPrefs.type2, facilities: lastPrefs.facilities }, { timeout: 10000, headers: internalRequestHeaders() });
         const recs = (resp.data && resp.data.recommendations) || [];
         if (!recs.length) return sendTwimlText(res, `No matches found for "${city}" with those filters. Try fewer filters or 'help'.`);
-        const lines = [`Top ${Math.min(5, recs.length)} matches for ${city}:`];
+        const lines = [];
+        if (resp.data.relaxed) {
+          const dropped = (resp.data.relaxedCriteria || []).map((c) => c.label).join(", ");
+          lines.push(`No school matched all your filters${dropped ? ` (relaxed: ${dropped})` : ""}. Closest ${Math.min(5, recs.length)} for ${city}:`);
+        } else {
+          lines.push(`Top ${Math.min(5, recs.length)} matches for ${city}:`);
+        }
+        // document and register links are site-relative
+        const abs = (u) => (/^https?:\/\//i.test(u) ? u : `${site}${u}`);
         for (const r of recs.slice(0,5)) {
-          lines.push(`\n• ${r.name}${r.city ? " — " + r.city : ""}`);
+          lines.push(`\n• ${r.name}${r.city ? " — " + r.city : ""}${r.pinned ? ` (${r.placementLabel || "Recommended"})` : ""}`);
           if (r.curriculum) lines.push(`  Curriculum: ${Array.isArray(r.curriculum) ? r.curriculum.join(", ") : r.curriculum}`);
+          if (resp.data.relaxed && Array.isArray(r.misses) && r.misses.length) lines.push(`  Doesn't match: ${r.misses.join(", ")}`);
           if (r.fees) lines.push(`  Fees: ${r.fees}`);
           if (r.website) lines.push(`  Website: ${r.website}`);
-          const name = (r.name || "").toLowerCase();
-          if (/st[\s-]*eurit/.test(name) || (r.slug && /st-eurit/.test(r.slug))) {
-            const registerUrl = "https://skoolfinder.net/register/st-eurit-international-school";
-            if (registerUrl) lines.push(`  Register: ${registerUrl}`);
-          }
+          for (const d of r.documents || []) lines.push(`  ${d.label}: ${abs(d.url)}`);
+          if (r.registerUrl) lines.push(`  Register: ${abs(r.registerUrl)}`);
         }
         lines.push("\nReply 'help' for commands.");
         return sendTwimlText(res, lines.join("\n"));
@@ -471,21 +494,47 @@ receipt create|amount:100|description:Payment|customer:Name|email:...`;
     }
 
     if (lctext.startsWith("fav add ") || lctext.startsWith("favorite add ")) {
-      const slug = bodyRaw.split(/\s+/).slice(2).join(" ").trim();
-      if (!slug) return sendTwimlText(res, "Please provide the school slug, e.g. 'fav add st-eurit-international-school'");
+      const slug = bodyRaw.trim().split(/\s+/).slice(2).join(" ").trim();
+      if (!slug) return sendTwimlText(res, "Please provide the school slug, e.g. 'fav add <school-slug>'");
       try {
-        const site = (process.env.SITE_URL || "").replace(/\/$/, "");
-        const resp = await axios.get(`${site}/api/school-by-slug/${encodeURIComponent(slug)}`, { timeout: 5000 }).catch(() => null);
-        const school = resp && resp.data && resp.data.school;
-        if (!school) return sendTwimlText(res, `School not found for slug "${slug}"`);
-        await User.findOneAndUpdate({ provider: "whatsapp", providerId }, { $addToSet: { favourites: school._id } }, { upsert: true });
-        return sendTwimlText(res, `Added "${school.name}" to your favourites.`);
+        const { school, error } = await addFavourite(User, user._id, slug);
+        if (error) return sendTwimlText(res, error === "School not found" ? `School not found for slug "${slug}"` : error);
+        return sendTwimlText(res, `Added "${school.name}" to your favourites. Send 'fav list' to see them.`);
       } catch (e) {
         console.error("TWILIO: fav add error:", e && e.message ? e.message : e);
         return sendTwimlText(res, "Could not add favourite — try again later.");
       }
     }
 
+    if (["fav", "favs", "fav list", "favourites", "favorites"].includes(lctext)) {
+      try {
+        const favs = await listFavourites(User, user._id);
+        if (!favs.length) return sendTwimlText(res, "You have no favourites yet. Add one with 'fav add <school-slug>'.");
+        const site = (process.env.SITE_URL || "").replace(/\/$/, "");
+        const lines = ["Your favourites:"];
+        favs.forEach((f, i) => {
+          lines.push(`${i + 1}. ${f.name}${f.city ? ` — ${f.city}` : ""} (${f.slug})`);
+          if (site && f.url) lines.push(`  ${site}${f.url}`);
+        });
+        lines.push("\nRemove one with 'fav remove <school-slug>'.");
+        return sendTwimlText(res, lines.join("\n"));
+      } catch (e) {
+        console.error("TWILIO: fav list error:", e && e.message ? e.message : e);
+        return sendTwimlText(res, "Could not load favourites — try again later.");
+      }
+    }
+
+    if (lctext.startsWith("fav remove ") || lctext.startsWith("favorite remove ")) {
+      const slug = bodyRaw.trim().split(/\s+/).slice(2).join(" ").trim();
+      try {
+        const removed = await removeFavourite(User, user._id, slug);
+        return sendTwimlText(res, removed ? `Removed "${removed.name}" from your favourites.` : `"${slug}" isn't in your favourites.`);
+      } catch (e) {
+        console.error("TWILIO: fav remove error:", e && e.message ? e.message : e);
+        return sendTwimlText(res, "Could not remove favourite — try again later.");
+      }
+    }
+
     return sendTwimlText(res, "Sorry, I didn't understand. Send 'help' for usage.");
   } catch (err) {
     console.error("TWILIO: webhook handler error:", err && err.stack ? err.stack : err);
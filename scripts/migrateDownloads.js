@@ -0,0 +1,101 @@
+// scripts/migrateDownloads.js
+// One-off: move the St Eurit PDFs that server.js used to serve from a
+// hard-coded DOWNLOADS map (/download/<key>) into that school's document
+// library. The old keys are kept on the documents so /download/<key> still
+// redirects to the new URL. Safe to re-run.
+//
+//   node scripts/migrateDownloads.js --dry-run            # report only
+//   node scripts/migrateDownloads.js [--school <slug>]    # default: the school named "St Eurit…"
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import School from "../models/school.js";
+import SchoolDocument from "../models/schoolDocument.js";
+import storage from "../lib/storage.js";
+import { documentUrl } from "../lib/documents.js";
+dotenv.config();
+
+const DOCS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "public", "docs");
+const DRY_RUN = process.argv.includes("--dry-run");
+const schoolArg = process.argv.indexOf("--school");
+const SCHOOL_SLUG = schoolArg > -1 ? process.argv[schoolArg + 1] : "";
+
+// the old DOWNLOADS map, with where each entry now lives
+const LEGACY_DOWNLOADS = [
+  {
+    legacyKey: "st-eurit-registration",
+    file: "st-eurit-registration.pdf",
+    filename: "St-Eurit-Registration-Form.pdf",
+    key: "registration-form",
+    label: "Registration Form (PDF)",
+    kind: "registration",
+  },
+  {
+    legacyKey: "st-eurit-profile",
+    file: "st-eurit-profile.pdf",
+    filename: "St-Eurit-School-Profile.pdf",
+    key: "school-profile",
+    label: "School Profile (PDF)",
+    kind: "profile",
+  },
+];
+
+async function findSchool() {
+  if (SCHOOL_SLUG) return School.findOne({ slug: SCHOOL_SLUG }).select("name slug").lean();
+  const matches = await School.find({ name: /st\.?\s*eurit/i }).select("name slug").lean();
+  if (matches.length > 1) {
+    throw new Error(`Several schools match "St Eurit" (${matches.map((s) => s.slug).join(", ")}); pass --school <slug>`);
+  }
+  return matches[0] || null;
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) throw new Error("MONGODB_URI missing in .env");
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const school = await findSchool();
+  if (!school) throw new Error(`School not found${SCHOOL_SLUG ? `: ${SCHOOL_SLUG}` : ""}; pass --school <slug>`);
+
+  for (const entry of LEGACY_DOWNLOADS) {
+    const url = documentUrl(school.slug, entry.key);
+    const existing = await SchoolDocument.findOne({ school: school._id, key: entry.key }).lean();
+    if (existing) {
+      console.log(`${entry.legacyKey}: ${url} already exists; keeping its file`);
+      if (!DRY_RUN) await SchoolDocument.updateOne({ _id: existing._id }, { $addToSet: { legacyKeys: entry.legacyKey } });
+      continue;
+    }
+
+    const filePath = path.join(DOCS_DIR, entry.file);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`${entry.legacyKey}: ${filePath} is missing; upload it at /admin/schools/${school._id}/documents with key "${entry.key}"`);
+      continue;
+    }
+
+    console.log(`${entry.legacyKey}: ${entry.file} → ${url}`);
+    if (DRY_RUN) continue;
+    const buffer = await fs.promises.readFile(filePath);
+    const saved = await storage.save(buffer, { folder: `school-documents/${school._id}`, filename: entry.filename });
+    await SchoolDocument.create({
+      school: school._id,
+      key: entry.key,
+      label: entry.label,
+      kind: entry.kind,
+      filename: entry.filename,
+      mimeType: "application/pdf",
+      size: saved.size,
+      storageKey: saved.key,
+      legacyKeys: [entry.legacyKey],
+    });
+  }
+
+  console.log(`${DRY_RUN ? "[dry run] " : ""}done`);
+}
+
+main()
+  .catch((err) => {
+    console.error("[migrateDownloads] error:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
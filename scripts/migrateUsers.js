@@ -0,0 +1,139 @@
+// scripts/migrateUsers.js
+// One-off: move web logins from the legacy "userx2" collection into "users"
+// (where WhatsApp users already live) and merge duplicate people by email, then
+// by phone. Also fills in `identities` for records that predate it. Safe to
+// re-run; the legacy collection is left in place.
+//
+//   node scripts/migrateUsers.js --dry-run   # report only
+//   node scripts/migrateUsers.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User, { identitiesOf, normalizeEmail, normalizePhone } from "../models/user.js";
+import Registration from "../models/registration.js";
+import { hasPrefs, mergedUserFields, pickSurvivor } from "../lib/userMerge.js";
+dotenv.config();
+
+const LEGACY_COLLECTION = "userx2";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const stats = { legacy: 0, inserted: 0, mergedLegacy: 0, duplicateGroups: 0, removed: 0 };
+
+/** A legacy UserX2 document in the unified shape (same _id so sessions survive). */
+function fromLegacy(doc) {
+  const prefs = doc.lastPrefsObj && hasPrefs(doc.lastPrefsObj) ? doc.lastPrefsObj : {};
+  const user = {
+    _id: doc._id,
+    provider: doc.provider || "unknown",
+    providerId: doc.providerId || String(doc._id),
+    name: doc.name,
+    email: normalizeEmail(doc.email) || undefined,
+    phone: normalizePhone(doc.phone || (doc.provider === "whatsapp" ? doc.providerId : "")) || undefined,
+    photo: doc.photo,
+    role: doc.role === "admin" ? "admin" : "user",
+    favourites: doc.favourites || [],
+    lastPrefs: prefs,
+    identities: [],
+    createdAt: doc.createdAt || doc._id.getTimestamp(),
+    updatedAt: doc.updatedAt || new Date(),
+  };
+  for (const k of Object.keys(user)) if (user[k] === undefined) delete user[k];
+  user.identities = identitiesOf(user);
+  return user;
+}
+
+async function findExisting(users, user) {
+  const or = [{ _id: user._id }, { provider: user.provider, providerId: user.providerId }];
+  if (user.email) or.push({ email: user.email });
+  if (user.phone) or.push({ phone: user.phone });
+  return users.findOne({ $or: or });
+}
+
+async function applyMerge(users, target, source) {
+  const set = mergedUserFields(target, source);
+  if (!DRY_RUN && Object.keys(set).length) await users.updateOne({ _id: target._id }, { $set: set });
+  return { ...target, ...set };
+}
+
+async function moveLegacyUsers(db, users) {
+  const exists = await db.listCollections({ name: LEGACY_COLLECTION }).hasNext();
+  if (!exists) return console.log(`No "${LEGACY_COLLECTION}" collection; nothing to move.`);
+
+  for await (const doc of db.collection(LEGACY_COLLECTION).find({})) {
+    stats.legacy++;
+    const user = fromLegacy(doc);
+    const existing = await findExisting(users, user);
+    if (existing) {
+      await applyMerge(users, existing, user);
+      if (String(existing._id) !== String(user._id)) {
+        stats.mergedLegacy++;
+        console.log(`merge legacy ${user._id} (${user.email || user.name || user.providerId}) → ${existing._id}`);
+        if (!DRY_RUN) await Registration.updateMany({ user: user._id }, { $set: { user: existing._id } });
+      }
+    } else {
+      stats.inserted++;
+      console.log(`copy legacy ${user._id} (${user.email || user.name || user.providerId})`);
+      if (!DRY_RUN) await users.insertOne(user);
+    }
+  }
+}
+
+/** Merge every group of users sharing the same value of `field` into one record. */
+async function dedupeBy(users, field) {
+  const groups = await users
+    .aggregate([
+      { $match: { [field]: { $type: "string", $ne: "" } } },
+      { $group: { _id: `$${field}`, ids: { $push: "$_id" }, n: { $sum: 1 } } },
+      { $match: { n: { $gt: 1 } } },
+    ])
+    .toArray();
+
+  for (const group of groups) {
+    const docs = await users.find({ _id: { $in: group.ids } }).toArray();
+    if (docs.length < 2) continue; // already merged away by an earlier group
+    stats.duplicateGroups++;
+
+    let survivor = pickSurvivor(docs);
+    for (const dup of docs) {
+      if (String(dup._id) === String(survivor._id)) continue;
+      console.log(`merge duplicate ${field}=${group._id}: ${dup._id} → ${survivor._id}`);
+      survivor = await applyMerge(users, survivor, dup);
+      stats.removed++;
+      if (!DRY_RUN) {
+        await Registration.updateMany({ user: dup._id }, { $set: { user: survivor._id } });
+        await users.deleteOne({ _id: dup._id });
+      }
+    }
+  }
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) throw new Error("MONGODB_URI missing in .env");
+  await mongoose.connect(process.env.MONGODB_URI);
+  const db = mongoose.connection.db;
+  const users = User.collection;
+
+  // normalise what the old schema stored as-is so duplicates can be matched
+  if (!DRY_RUN) {
+    for await (const u of users.find({})) {
+      const set = {};
+      if (u.email && normalizeEmail(u.email) !== u.email) set.email = normalizeEmail(u.email);
+      if (u.provider === "whatsapp" && !u.phone && normalizePhone(u.providerId)) set.phone = normalizePhone(u.providerId);
+      const identities = identitiesOf({ ...u, ...set });
+      if (identities.length !== (u.identities || []).length) set.identities = identities;
+      if (Object.keys(set).length) await users.updateOne({ _id: u._id }, { $set: set });
+    }
+  }
+
+  await moveLegacyUsers(db, users);
+  await dedupeBy(users, "email");
+  await dedupeBy(users, "phone");
+
+  console.log(`${DRY_RUN ? "[dry run] " : ""}done`, stats);
+}
+
+main()
+  .catch((err) => {
+    console.error("[migrateUsers] error:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,6 +1,7 @@
 // server.js (full updated)
+// first, so every module imported below sees the .env values
+import "dotenv/config";
 import express from "express";
-import dotenv from "dotenv";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
@@ -13,9 +14,9 @@ import { ensureAuth } from "./middleware/ensureAuth.js";
 import MongoStore from "connect-mongo";
 import session from "express-session";
 import registerRoutes from "./routes/register.js";
+import { sweepOrphanedAttachments } from "./lib/registrationAttachments.js";
 import twilioWebhookRoutes from "./routes/twilio_webhook.js";
 
-dotenv.config();
 const PROD = process.env.NODE_ENV === "production";
 const SITE_URL = process.env.SITE_URL || "https://skoolfinder.net";
 
@@ -59,11 +60,19 @@ app.post("/twilio/webhook-simple", express.urlencoded({ extended: true }), (req,
 import "./config/passport.js";
 
 // Optional model import for sitemap / og generation (adjust path to your model file)
-import School from "./models/school.js"; // ensure this exists (or remove usage in sitemap/og)
+import School, { PUBLISHED_FILTER } from "./models/school.js"; // ensure this exists (or remove usage in sitemap/og)
 
 import authRoutes from "./routes/auth.js";
 import apiRoutes from "./routes/api.js";
 import adminRoutes from "./routes/admin.js";
+import schoolRoutes from "./routes/schools.js";
+import meRoutes from "./routes/me.js";
+import compareRoutes from "./routes/compare.js";
+import { prefsForForm, prefsSummary } from "./lib/lastPrefs.js";
+import SchoolDocument from "./models/schoolDocument.js";
+import storage from "./lib/storage.js";
+import { documentUrl, documentLinksBySchool } from "./lib/documents.js";
+import { isStaff } from "./lib/roles.js";
 
 /* Static public */
 app.use(express.static(path.join(__dirname, "public")));
@@ -98,6 +107,14 @@ if (!MONGODB_URI) {
 await mongoose.connect(MONGODB_URI);
 console.log("✅ MongoDB connected");
 
+// uploads of expired registration drafts (the TTL index only removes the draft)
+const sweepAttachments = () =>
+  sweepOrphanedAttachments()
+    .then((n) => n && console.log(`[attachments] removed ${n} orphaned upload folder(s)`))
+    .catch((err) => console.error("[attachments] sweep error:", err));
+sweepAttachments();
+setInterval(sweepAttachments, 6 * 60 * 60 * 1000).unref();
+
 /* Sessions */
 app.use(
   session({
@@ -127,6 +144,7 @@ app.use(passport.session());
 app.use((req, res, next) => {
   res.locals.user =
     req.user?.toObject?.({ getters: true, virtuals: true }) || req.user || null;
+  res.locals.isStaffUser = isStaff(req.user);
   res.locals.siteUrl = SITE_URL.replace(/\/$/, "");
   // allow templates to set canonical path easily if not passed per-render
   res.locals.canonicalPath = req.path === "/" ? "/" : req.path;
@@ -161,23 +179,6 @@ app.get("/img", async (req, res) => {
 /* ---------- Docs / downloads ---------- */
 const DOCS_DIR = path.join(__dirname, "public", "docs");
 
-const DOWNLOADS = new Map([
-  [
-    "st-eurit-registration",
-    {
-      path: path.join(DOCS_DIR, "st-eurit-registration.pdf"),
-      filename: "St-Eurit-Registration-Form.pdf",
-    },
-  ],
-  [
-    "st-eurit-profile",
-    {
-      path: path.join(DOCS_DIR, "st-eurit-profile.pdf"),
-      filename: "St-Eurit-School-Profile.pdf",
-    },
-  ],
-]);
-
 // static /docs to allow direct checking; set content-type for pdfs
 app.use(
   "/docs",
@@ -191,45 +192,40 @@ app.use(
   })
 );
 
-app.get("/diag/downloads", (_req, res) => {
-  const report = {};
-  for (const [key, entry] of DOWNLOADS.entries()) {
-    const exists = fs.existsSync(entry.path);
-    let size = null,
-      mtime = null;
-    if (exists) {
-      const st = fs.statSync(entry.path);
-      size = st.size;
-      mtime = st.mtime;
+// Links shared before schools had document libraries, e.g. /download/st-eurit-registration
+// (see scripts/migrateDownloads.js)
+app.get("/download/:legacyKey", async (req, res) => {
+  try {
+    const doc = await SchoolDocument.findOne({ legacyKeys: req.params.legacyKey }).populate("school", "slug").lean();
+    if (!doc?.school?.slug) {
+      console.warn(`[download] unknown key "${req.params.legacyKey}"`);
+      return res.status(404).send("Not found");
     }
-    report[key] = { path: entry.path, exists, size, mtime, filename: entry.filename };
+    res.redirect(301, documentUrl(doc.school.slug, doc.key));
+  } catch (err) {
+    console.error("[download] legacy redirect error:", err);
+    res.status(500).send("Failed to download");
   }
-  res.json({
-    cwd: process.cwd(),
-    docsDir: DOCS_DIR,
-    report,
-  });
 });
 
-app.get("/download/:key", async (req, res) => {
+app.get("/download/:schoolSlug/:docKey", async (req, res) => {
   try {
-    const entry = DOWNLOADS.get(req.params.key);
-    if (!entry) {
-      console.warn(`[download] unknown key "${req.params.key}"`);
+    const school = await School.findOne({ slug: req.params.schoolSlug, ...PUBLISHED_FILTER }).select("_id").lean();
+    const doc = school ? await SchoolDocument.findOne({ school: school._id, key: req.params.docKey }).lean() : null;
+    if (!doc) {
+      console.warn(`[download] unknown document "${req.params.schoolSlug}/${req.params.docKey}"`);
       return res.status(404).send("Not found");
     }
-    const { path: filePath, filename } = entry;
-
-    await fs.promises.access(filePath, fs.constants.R_OK).catch((err) => {
-      console.error("[download] missing:", filePath, err?.code || err);
-      throw { status: 404, message: "File not found" };
-    });
 
-    const stat = await fs.promises.stat(filePath);
+    const stat = await storage.stat(doc.storageKey);
+    if (!stat) {
+      console.error("[download] missing:", doc.storageKey);
+      return res.status(404).send("File not found");
+    }
 
-    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Type", doc.mimeType || "application/octet-stream");
     res.setHeader("Content-Length", stat.size);
-    const fallbackFilename = filename.replace(/"/g, '\\"');
+    const fallbackFilename = doc.filename.replace(/"/g, '\\"');
     const encoded = encodeURIComponent(fallbackFilename);
     res.setHeader(
       "Content-Disposition",
@@ -237,14 +233,13 @@ app.get("/download/:key", async (req, res) => {
     );
     res.setHeader("Cache-Control", "public, max-age=86400");
 
-    const readStream = fs.createReadStream(filePath);
+    const readStream = storage.createReadStream(doc.storageKey);
     readStream.on("error", (err) => {
       console.error("[download] stream error:", err);
       if (!res.headersSent) res.status(500).send("Failed to send file");
     });
     return readStream.pipe(res);
   } catch (err) {
-    if (err && err.status === 404) return res.status(404).send(err.message || "Not found");
     console.error("[download] unexpected error:", err);
     if (!res.headersSent) res.status(500).send("Failed to download");
   }
@@ -269,17 +264,21 @@ app.get("/sitemap.xml", async (req, res) => {
       { url: "/health", changefreq: "monthly", priority: 0.1 },
     ];
 
-    // Add downloads that exist
-    for (const [key, entry] of DOWNLOADS.entries()) {
-      if (fs.existsSync(entry.path)) {
-        pages.push({ url: `/download/${key}`, changefreq: "monthly", priority: 0.1 });
+    // Add school documents (published schools only)
+    try {
+      const published = await School.find(PUBLISHED_FILTER).select("_id slug").lean().limit(50000);
+      const links = await documentLinksBySchool(published);
+      for (const list of links.values()) {
+        for (const d of list) pages.push({ url: d.url, changefreq: "monthly", priority: 0.1 });
       }
+    } catch (e) {
+      console.warn("sitemap: could not list school documents:", e?.message || e);
     }
 
     // Add schools from DB if model exists
     try {
       if (School && typeof School.find === "function") {
-        const schools = await School.find({ published: true }).select("slug updatedAt").lean().limit(50000);
+        const schools = await School.find(PUBLISHED_FILTER).select("slug updatedAt").lean().limit(50000);
         for (const s of schools) {
           const slug = s.slug || s._id;
           const lastmod = s.updatedAt ? new Date(s.updatedAt).toISOString() : undefined;
@@ -343,6 +342,9 @@ app.use("/auth", authRoutes);
 app.use("/api", apiRoutes);
 app.use("/admin", adminRoutes);
 app.use("/register", registerRoutes);
+app.use("/schools", schoolRoutes);
+app.use("/me", meRoutes);
+app.use("/compare", compareRoutes);
 
 // Mount Twilio routes under /twilio
 // Note: the twilioWebhookRoutes file expects router.post("/webhook") internally,
@@ -351,8 +353,12 @@ app.use("/register", registerRoutes);
 app.use("/twilio", twilioWebhookRoutes);
 /* Protected recommend page */
 app.get("/recommend", ensureAuth, (req, res) => {
+  const lastPrefs = prefsForForm(req.user?.lastPrefs);
   res.render("recommend", {
     user: req.user,
+    lastPrefsSummary: prefsSummary(lastPrefs),
+    // read by /js/app.js to prefill the form; "<" escaped for the inline <script>
+    lastPrefsJson: JSON.stringify(lastPrefs).replace(/</g, "\\u003c"),
     title: "ZimEduFinder – Private School Finder",
     description: "Answer a few questions and we'll match your child to best-fit private schools.",
     canonicalPath: "/recommend",
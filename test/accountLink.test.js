@@ -0,0 +1,40 @@
+// Redeeming WhatsApp link codes: wrong guesses are capped per sending number.
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import LinkCode from "../models/linkCode.js";
+import RateLimit from "../models/rateLimit.js";
+import { redeemLinkCode } from "../lib/accountLink.js";
+
+let counters = new Map(); // rate limit _id → count
+
+const lean = (value) => ({ lean: async () => value });
+const sender = (phone) => ({ _id: `wa-${phone}`, provider: "whatsapp", providerId: phone, phone });
+
+beforeEach(() => {
+  counters = new Map();
+  mock.restoreAll();
+  mock.method(LinkCode, "findOneAndDelete", () => lean(null));
+  mock.method(RateLimit, "findById", (_id) => lean(counters.has(_id) ? { _id, count: counters.get(_id) } : null));
+  mock.method(RateLimit, "findOneAndUpdate", ({ _id }) => {
+    counters.set(_id, (counters.get(_id) || 0) + 1);
+    return lean({ _id, count: counters.get(_id) });
+  });
+});
+
+test("a number that keeps sending wrong codes is stopped without blocking other numbers", async () => {
+  const mallory = sender("263771111111");
+  for (let i = 0; i < 10; i++) {
+    assert.match((await redeemLinkCode("00000000", mallory)).error, /wrong or has expired/);
+  }
+  assert.match((await redeemLinkCode("00000000", mallory)).error, /Too many wrong codes/);
+  assert.equal(LinkCode.findOneAndDelete.mock.callCount(), 10);
+
+  assert.match((await redeemLinkCode("00000000", sender("263772222222"))).error, /wrong or has expired/);
+  assert.equal(LinkCode.findOneAndDelete.mock.callCount(), 11);
+});
+
+test("a code of the wrong length is refused before any lookup", async () => {
+  assert.match((await redeemLinkCode("1234", sender("263771111111"))).error, /8-digit code/);
+  assert.equal(LinkCode.findOneAndDelete.mock.callCount(), 0);
+  assert.equal(counters.size, 0);
+});
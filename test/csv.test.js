@@ -0,0 +1,24 @@
+// Export cells must not reach a spreadsheet as formulas.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stringify as csvStringify } from "csv-stringify/sync";
+import { spreadsheetCell } from "../lib/csv.js";
+
+test("formula-like cells get a leading quote", () => {
+  for (const text of ["=HYPERLINK(\"http://evil\",\"x\")", "+263771234567", "-2+3", "@SUM(A1)", "\t=1", "\r=1"]) {
+    assert.equal(spreadsheetCell(text), `'${text}`);
+  }
+});
+
+test("ordinary cells are unchanged", () => {
+  assert.equal(spreadsheetCell("Tendai Moyo"), "Tendai Moyo");
+  assert.equal(spreadsheetCell("12 Main St, Harare = home"), "12 Main St, Harare = home");
+  assert.equal(spreadsheetCell(undefined), "");
+  assert.equal(spreadsheetCell(null), "");
+  assert.equal(spreadsheetCell(7), "7");
+});
+
+test("the written CSV starts the cell with the quote", () => {
+  const csv = csvStringify([{ fatherName: spreadsheetCell("=cmd|' /C calc'!A0") }], { header: true, columns: ["fatherName"] });
+  assert.equal(csv.split("\n")[1], "'=cmd|' /C calc'!A0");
+});
@@ -0,0 +1,34 @@
+// Internal-request tokens that let the WhatsApp bot skip the public rate limits.
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { internalRequestHeaders, isInternalRequest } from "../lib/formGuard.js";
+
+const saved = { FORM_TOKEN_SECRET: process.env.FORM_TOKEN_SECRET, SESSION_SECRET: process.env.SESSION_SECRET };
+const request = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+
+beforeEach(() => {
+  delete process.env.FORM_TOKEN_SECRET;
+  delete process.env.SESSION_SECRET;
+});
+
+after(() => {
+  for (const [k, v] of Object.entries(saved)) if (v === undefined) delete process.env[k]; else process.env[k] = v;
+});
+
+test("a token signed with the configured secret is internal", () => {
+  process.env.SESSION_SECRET = "s3cret";
+  assert.equal(isInternalRequest(request(internalRequestHeaders())), true);
+  assert.equal(isInternalRequest(request({})), false);
+});
+
+test("a token signed with another secret is not", () => {
+  process.env.SESSION_SECRET = "attacker";
+  const forged = internalRequestHeaders();
+  process.env.SESSION_SECRET = "s3cret";
+  assert.equal(isInternalRequest(request(forged)), false);
+});
+
+test("without a configured secret nothing is internal", () => {
+  // anyone can sign with the built-in fallback
+  assert.equal(isInternalRequest(request(internalRequestHeaders())), false);
+});
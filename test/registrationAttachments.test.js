@@ -0,0 +1,68 @@
+// Sweeping the upload folders of registration drafts that no longer exist.
+import { test, beforeEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+process.env.UPLOAD_DIR = UPLOAD_DIR; // storage reads it on import
+const { default: Registration } = await import("../models/registration.js");
+const { default: RegistrationDraft } = await import("../models/registrationDraft.js");
+const { sweepOrphanedAttachments, ATTACHMENT_ROOT } = await import("../lib/registrationAttachments.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+let drafts = [];
+let registrationKeys = [];
+
+beforeEach(() => {
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  drafts = [];
+  registrationKeys = [];
+  mock.restoreAll();
+  mock.method(RegistrationDraft, "exists", async ({ _id }) => (drafts.includes(String(_id)) ? { _id } : null));
+  mock.method(Registration, "exists", async (filter) => {
+    const rx = filter["attachments.storageKey"];
+    return registrationKeys.some((k) => rx.test(k)) ? { _id: "reg" } : null;
+  });
+});
+
+after(() => fs.rmSync(UPLOAD_DIR, { recursive: true, force: true }));
+
+// a draft's folder holding one upload, last touched `ageMs` ago
+function upload(ageMs = 2 * DAY) {
+  const id = String(new mongoose.Types.ObjectId());
+  const dir = path.join(UPLOAD_DIR, ATTACHMENT_ROOT, id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "1-birth-certificate.pdf"), "%PDF");
+  const then = new Date(Date.now() - ageMs);
+  fs.utimesSync(dir, then, then);
+  return { id, dir, key: `${ATTACHMENT_ROOT}/${id}/1-birth-certificate.pdf` };
+}
+
+test("uploads of an expired draft are removed", async () => {
+  const orphan = upload();
+  assert.equal(await sweepOrphanedAttachments(), 1);
+  assert.equal(fs.existsSync(orphan.dir), false);
+});
+
+test("uploads of a live draft or a submitted registration are kept", async () => {
+  const draft = upload();
+  drafts.push(draft.id);
+  const submitted = upload();
+  registrationKeys.push(submitted.key);
+  assert.equal(await sweepOrphanedAttachments(), 0);
+  assert.ok(fs.existsSync(draft.dir));
+  assert.ok(fs.existsSync(submitted.dir));
+});
+
+test("recent uploads are left for the request that is still saving them", async () => {
+  const fresh = upload(60 * 1000);
+  assert.equal(await sweepOrphanedAttachments(), 0);
+  assert.ok(fs.existsSync(fresh.dir));
+});
+
+test("no upload folder yet is not an error", async () => {
+  assert.equal(await sweepOrphanedAttachments(), 0);
+});
@@ -0,0 +1,117 @@
+// Sign-in resolution against an in-memory stand-in for the users collection.
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.js";
+import { resolveSignIn, startIdentityLink } from "../config/passport.js";
+
+let users = [];
+
+// just enough of Mongo's matching for the filters resolveSignIn uses
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, cond]) => {
+    if (field === "$or") return cond.some((f) => matches(doc, f));
+    if (cond?.$elemMatch) return (doc[field] || []).some((item) => matches(item, cond.$elemMatch));
+    return String(doc[field] ?? "") === String(cond ?? "");
+  });
+}
+
+beforeEach(() => {
+  users = [];
+  mock.restoreAll();
+  mock.method(User, "findOne", async (filter) => users.find((u) => matches(u, filter)) || null);
+  mock.method(User, "findById", async (id) => users.find((u) => String(u._id) === String(id)) || null);
+  mock.method(User.prototype, "save", async function () {
+    await this.validate();
+    if (!users.includes(this)) users.push(this);
+    return this;
+  });
+});
+
+const signIn = (req, profile) =>
+  new Promise((resolve, reject) => {
+    resolveSignIn(req, profile, (err, user, info) => (err ? reject(err) : resolve({ user, info }))).catch(reject);
+  });
+
+const google = (id, email) => ({ provider: "google", providerId: id, email, name: "Ann" });
+
+async function seedUser() {
+  const { user } = await signIn({ session: {} }, google("g-ann", "ann@example.com"));
+  user.addIdentity("email", "ann@example.com");
+  await user.save();
+  return user;
+}
+
+test("a new sign-in creates the user, a repeat finds it", async () => {
+  const ann = await seedUser();
+  const { user } = await signIn({ session: {} }, google("g-ann", "ann@example.com"));
+  assert.equal(user, ann);
+  assert.equal(users.length, 1);
+});
+
+test("an unlinked sign-in is not re-added by the email match", async () => {
+  const ann = await seedUser();
+  assert.equal(ann.removeIdentity("google", "g-ann"), true);
+  await ann.save();
+  assert.equal(ann.provider, "email");
+
+  const { user, info } = await signIn({ session: {} }, google("g-ann", "ann@example.com"));
+  assert.equal(user, false);
+  assert.match(info.message, /removed from your account/);
+  assert.ok(!ann.identities.some((i) => i.provider === "google"));
+  assert.equal(users.length, 1);
+});
+
+test("connecting again from /me/account restores an unlinked sign-in", async () => {
+  const ann = await seedUser();
+  ann.removeIdentity("google", "g-ann");
+  await ann.save();
+
+  const req = { user: { _id: ann._id }, session: {} };
+  startIdentityLink(req, "google");
+  const { user } = await signIn(req, google("g-ann", "ann@example.com"));
+  assert.equal(user, ann);
+  assert.ok(ann.identities.some((i) => i.provider === "google" && i.providerId === "g-ann"));
+  assert.equal(ann.isUnlinked("google", "g-ann"), false);
+});
+
+test("the last sign-in method can't be removed", async () => {
+  const { user } = await signIn({ session: {} }, google("g-solo", "solo@example.com"));
+  assert.equal(user.removeIdentity("google", "g-solo"), false);
+});
+
+test("a sign-in the user didn't start from /me/account switches accounts instead of linking", async () => {
+  const ann = await seedUser();
+  const req = { user: { _id: ann._id }, session: {} };
+  const { user } = await signIn(req, google("g-mallory", "mallory@example.com"));
+  assert.notEqual(user, ann);
+  assert.ok(!ann.identities.some((i) => i.providerId === "g-mallory"));
+});
+
+test("someone else's email link signs in to their account, not into the current one", async () => {
+  const ann = await seedUser();
+  const req = { user: { _id: ann._id }, session: {} };
+  startIdentityLink(req, "email", "ann.work@example.com");
+  const email = "mallory@example.com";
+  const { user } = await signIn(req, { provider: "email", providerId: email, email });
+  assert.notEqual(user, ann);
+  assert.ok(!ann.identities.some((i) => i.providerId === email));
+});
+
+test("the email link for the address being connected is added to the account", async () => {
+  const ann = await seedUser();
+  const req = { user: { _id: ann._id }, session: {} };
+  startIdentityLink(req, "email", "Ann.Work@example.com");
+  const email = "ann.work@example.com";
+  const { user } = await signIn(req, { provider: "email", providerId: email, email });
+  assert.equal(user, ann);
+  assert.ok(ann.identities.some((i) => i.provider === "email" && i.providerId === email));
+});
+
+test("a connect intent only covers the provider it was started for", async () => {
+  const ann = await seedUser();
+  const req = { user: { _id: ann._id }, session: {} };
+  startIdentityLink(req, "facebook");
+  const { user } = await signIn(req, google("g-mallory", "mallory@example.com"));
+  assert.notEqual(user, ann);
+  assert.equal(req.session.linkIdentity, undefined);
+});
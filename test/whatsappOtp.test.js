@@ -0,0 +1,157 @@
+// WhatsApp sign-in codes, sent through a fake Twilio client and stored in
+// in-memory stand-ins for the otpcodes and ratelimits collections.
+import { test, beforeEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import OtpCode from "../models/otpCode.js";
+import RateLimit from "../models/rateLimit.js";
+import { setTwilioClient } from "../lib/twilioClient.js";
+import { sendOtp, verifyOtp, OTP_MAX_ATTEMPTS, OTP_SEND_LIMIT } from "../lib/whatsappOtp.js";
+
+const PHONE = "+263 77 123 4567";
+const DIGITS = "263771234567";
+
+let codes = new Map(); // phone → pending code doc
+let counters = new Map(); // rate limit _id → count
+let sent = [];
+let reserved = 0; // codes handed to verifyOtp for comparing
+
+// a mongoose query is awaited directly or after .lean()
+const query = (fn) => {
+  const run = () => Promise.resolve().then(fn);
+  return { lean: run, then: (ok, fail) => run().then(ok, fail) };
+};
+// just enough of Mongo's matching for the filters whatsappOtp uses
+const findCode = (filter) =>
+  [...codes.values()].find((doc) =>
+    Object.entries(filter).every(([field, cond]) => {
+      if (cond?.$gt !== undefined) return doc[field] > cond.$gt;
+      if (cond?.$lt !== undefined) return (doc[field] || 0) < cond.$lt;
+      return doc[field] === cond;
+    })
+  );
+
+beforeEach(() => {
+  codes = new Map();
+  counters = new Map();
+  sent = [];
+  reserved = 0;
+  mock.restoreAll();
+  process.env.TWILIO_WHATSAPP_FROM = "whatsapp:+14155238886";
+  setTwilioClient({ messages: { create: async (msg) => (sent.push(msg), { sid: `SM${sent.length}` }) } });
+
+  mock.method(OtpCode, "findOneAndUpdate", (filter, update, opts = {}) =>
+    query(() => {
+      let doc = findCode(filter);
+      if (!doc && !opts.upsert) return null;
+      if (doc && update.$inc) reserved++;
+      if (!doc) codes.set(filter.phone, (doc = { _id: `otp-${codes.size + 1}`, phone: filter.phone }));
+      Object.assign(doc, update.$set);
+      for (const [field, by] of Object.entries(update.$inc || {})) doc[field] = (doc[field] || 0) + by;
+      return { ...doc };
+    })
+  );
+  mock.method(OtpCode, "exists", (filter) => query(() => (findCode(filter) ? { _id: findCode(filter)._id } : null)));
+  mock.method(OtpCode, "deleteOne", (filter) =>
+    query(() => {
+      const doc = findCode(filter);
+      return { deletedCount: doc && codes.delete(doc.phone) ? 1 : 0 };
+    })
+  );
+  mock.method(RateLimit, "findOneAndUpdate", ({ _id }) =>
+    query(() => {
+      counters.set(_id, (counters.get(_id) || 0) + 1);
+      return { _id, count: counters.get(_id) };
+    })
+  );
+});
+
+after(() => setTwilioClient(null));
+
+// the code as the user reads it in WhatsApp
+const lastCode = () => sent.at(-1).body.match(/\b(\d{6})\b/)[1];
+const wrong = (code) => String((Number(code) + 1) % 1_000_000).padStart(6, "0");
+
+test("the code goes out over WhatsApp and only its hash is stored", async () => {
+  assert.deepEqual(await sendOtp(PHONE), { phone: DIGITS });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, `whatsapp:+${DIGITS}`);
+  assert.equal(sent[0].from, process.env.TWILIO_WHATSAPP_FROM);
+
+  const code = lastCode();
+  const stored = codes.get(DIGITS);
+  assert.match(stored.codeHash, /^[0-9a-f]{64}$/);
+  assert.ok(!stored.codeHash.includes(code));
+  assert.ok(!JSON.stringify(stored).includes(code));
+});
+
+test("the right code signs in", async () => {
+  await sendOtp(PHONE);
+  assert.deepEqual(await verifyOtp("0771234567", lastCode()), { phone: DIGITS });
+});
+
+test("an expired code is refused", async () => {
+  await sendOtp(PHONE);
+  codes.get(DIGITS).expiresAt = new Date(Date.now() - 1000);
+  const { phone, error } = await verifyOtp(PHONE, lastCode());
+  assert.equal(phone, undefined);
+  assert.match(error, /expired/);
+});
+
+test("a code works once", async () => {
+  await sendOtp(PHONE);
+  const code = lastCode();
+  assert.deepEqual(await verifyOtp(PHONE, code), { phone: DIGITS });
+  assert.ok((await verifyOtp(PHONE, code)).error);
+});
+
+test("two requests racing with the same code sign in once", async () => {
+  await sendOtp(PHONE);
+  const code = lastCode();
+  const results = await Promise.all([verifyOtp(PHONE, code), verifyOtp(PHONE, code)]);
+  assert.equal(results.filter((r) => r.phone).length, 1);
+  assert.match(results.find((r) => r.error).error, /already been used/);
+});
+
+test(`${OTP_MAX_ATTEMPTS} wrong codes discard the code, even for a later right guess`, async () => {
+  await sendOtp(PHONE);
+  const code = lastCode();
+  for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+    assert.match((await verifyOtp(PHONE, wrong(code))).error, /isn't right/);
+  }
+  assert.match((await verifyOtp(PHONE, wrong(code))).error, /Too many wrong codes/);
+  assert.equal(codes.has(DIGITS), false);
+  assert.ok((await verifyOtp(PHONE, code)).error);
+});
+
+test("wrong codes sent in parallel are only checked up to the limit", async () => {
+  await sendOtp(PHONE);
+  const code = lastCode();
+  const results = await Promise.all(Array.from({ length: OTP_MAX_ATTEMPTS * 2 }, () => verifyOtp(PHONE, wrong(code))));
+  assert.equal(reserved, OTP_MAX_ATTEMPTS);
+  assert.ok(results.every((r) => r.error && !r.phone));
+  assert.ok((await verifyOtp(PHONE, code)).error);
+});
+
+test("a new code replaces the old one and resets the attempts", async () => {
+  await sendOtp(PHONE);
+  const first = lastCode();
+  await verifyOtp(PHONE, wrong(first));
+  await sendOtp(PHONE);
+  assert.equal(codes.get(DIGITS).attempts, 0);
+  if (first !== lastCode()) assert.ok((await verifyOtp(PHONE, first)).error);
+  assert.deepEqual(await verifyOtp(PHONE, lastCode()), { phone: DIGITS });
+});
+
+test(`a number gets at most ${OTP_SEND_LIMIT.max} codes per window`, async () => {
+  for (let i = 0; i < OTP_SEND_LIMIT.max; i++) assert.deepEqual(await sendOtp(PHONE), { phone: DIGITS });
+  // the same number written another way counts against the same limit
+  assert.match((await sendOtp("0771234567")).error, /Too many codes/);
+  assert.equal(sent.length, OTP_SEND_LIMIT.max);
+  assert.deepEqual(await sendOtp("+263 78 765 4321"), { phone: "263787654321" });
+});
+
+test("a failed send leaves no code behind", async () => {
+  setTwilioClient({ messages: { create: async () => { throw new Error("21211: invalid 'To' number"); } } });
+  await assert.rejects(sendOtp(PHONE), /21211/);
+  assert.equal(codes.has(DIGITS), false);
+});